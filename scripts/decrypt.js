@@ -0,0 +1,130 @@
+/**
+ * Offline recovery for uploads stored with ENCRYPTION_KEY.
+ * Decrypts a single file, or a whole upload directory into a new one, without running the server.
+ * Files that are not encrypted (stored before encryption was enabled) are copied unchanged.
+ *
+ * Usage:
+ *   npm run decrypt -- <file> [output file, default: stdout]
+ *   npm run decrypt -- <upload dir> <output dir>
+ *
+ * The key is read from ENCRYPTION_KEY (environment or .env), or from a file with --key-file <path>.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { HEADER_LENGTH, isEncryptedHeader, decryptFile } = require('../src/utils/encryption');
+
+const USAGE = 'Usage: npm run decrypt -- <file|directory> [output] [--key-file <path>]';
+const METADATA_DIR_NAME = '.metadata';
+
+function parseArgs(args) {
+  const positional = [];
+  let keyFile = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--key-file') {
+      keyFile = args[++i];
+      if (!keyFile) throw new Error('--key-file needs a path');
+    } else if (args[i] === '-h' || args[i] === '--help') {
+      return { help: true };
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  if (positional.length < 1 || positional.length > 2) throw new Error(USAGE);
+  return { input: positional[0], output: positional[1] || null, keyFile };
+}
+
+async function isEncryptedFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_LENGTH, 0);
+    return isEncryptedHeader(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Decrypt or copy one file
+ * @param {string} inputPath - Stored file
+ * @param {string|null} outputPath - Destination, stdout if null
+ * @param {string} secret - ENCRYPTION_KEY
+ * @returns {Promise<boolean>} Whether the file was encrypted
+ */
+async function recoverFile(inputPath, outputPath, secret) {
+  const encrypted = await isEncryptedFile(inputPath);
+  const source = encrypted ? await decryptFile(inputPath, secret) : fs.createReadStream(inputPath);
+  if (!outputPath) {
+    await pipeline(source, process.stdout);
+    return encrypted;
+  }
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  try {
+    await pipeline(source, fs.createWriteStream(outputPath, { flags: 'wx' }));
+  } catch (err) {
+    if (err.code !== 'EEXIST') await fs.promises.unlink(outputPath).catch(() => {});
+    throw err;
+  }
+  return encrypted;
+}
+
+/**
+ * Recover every stored file below a directory, skipping DumbDrop's own metadata and unfinished uploads
+ * @param {string} inputDir - Upload directory
+ * @param {string} outputDir - Destination directory
+ * @param {string} secret - ENCRYPTION_KEY
+ * @param {Object} [counts] - Totals carried through subdirectories
+ * @returns {Promise<{decrypted: number, copied: number, failed: number}>}
+ */
+async function recoverDirectory(inputDir, outputDir, secret, counts = { decrypted: 0, copied: 0, failed: 0 }) {
+  for (const entry of await fs.promises.readdir(inputDir, { withFileTypes: true })) {
+    const inputPath = path.join(inputDir, entry.name);
+    const outputPath = path.join(outputDir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name === METADATA_DIR_NAME) continue;
+      await recoverDirectory(inputPath, outputPath, secret, counts);
+    } else if (entry.isFile() && !entry.name.endsWith('.partial')) {
+      try {
+        const encrypted = await recoverFile(inputPath, outputPath, secret);
+        counts[encrypted ? 'decrypted' : 'copied']++;
+      } catch (err) {
+        counts.failed++;
+        console.error(`Failed to recover ${inputPath}: ${err.message}`);
+      }
+    }
+  }
+  return counts;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const secret = options.keyFile ?
+    (await fs.promises.readFile(options.keyFile, 'utf8')).trim() :
+    process.env.ENCRYPTION_KEY;
+  if (!secret) throw new Error('Set ENCRYPTION_KEY or pass --key-file');
+
+  const stats = await fs.promises.stat(options.input);
+  if (!stats.isDirectory()) {
+    await recoverFile(options.input, options.output === '-' ? null : options.output, secret);
+    return 0;
+  }
+  if (!options.output) throw new Error('An output directory is required to recover a directory');
+  const counts = await recoverDirectory(options.input, options.output, secret);
+  console.error(`Decrypted ${counts.decrypted} files, copied ${counts.copied} unencrypted files, ${counts.failed} failed`);
+  return counts.failed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
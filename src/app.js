@@ -15,9 +15,11 @@ const fsPromises = require('fs').promises;
 const { config, validateConfig } = require('./config');
 const logger = require('./utils/logger');
 const { ensureDirectoryExists } = require('./utils/fileUtils');
+const { getStorage } = require('./storage');
+const { startRetentionSweeper } = require('./services/retention');
 const { getHelmetConfig, requirePin } = require('./middleware/security');
 const { safeCompare } = require('./utils/security');
-const { initUploadLimiter, pinVerifyLimiter, pinStatusLimiter, downloadLimiter } = require('./middleware/rateLimiter');
+const { initUploadLimiter, chunkUploadLimiter, pinVerifyLimiter, pinStatusLimiter, downloadLimiter } = require('./middleware/rateLimiter');
 const { injectDemoBanner, demoMiddleware } = require('./utils/demoMode');
 const { originValidationMiddleware, getCorsOptions } = require('./middleware/cors');
 
@@ -30,9 +32,19 @@ const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 app.set('trust proxy', 1);
 
 // Middleware setup
-app.use(cors(getCorsOptions(BASE_URL)));
+const corsOptions = getCorsOptions(BASE_URL);
+app.use(cors((req, callback) => {
+  // tus answers OPTIONS itself (capability discovery), so let those requests through after the CORS headers
+  callback(null, { ...corsOptions, preflightContinue: req.path.startsWith('/api/upload/tus') });
+}));
 app.use(cookieParser());
-app.use(express.json());
+const jsonParser = express.json();
+const STREAMED_BODY_PATHS = ['/api/upload/raw/', '/api/upload/chunk/'];
+app.use((req, res, next) => {
+  // Upload bodies are streamed to disk by their routes, whatever their content type
+  if (STREAMED_BODY_PATHS.some(prefix => req.path.startsWith(prefix))) return next();
+  jsonParser(req, res, next);
+});
 app.use(helmet(getHelmetConfig()));
 
 // --- AUTHENTICATION MIDDLEWARE FOR ALL PROTECTED ROUTES ---
@@ -68,6 +80,7 @@ app.use((req, res, next) => {
 
 // Import routes
 const { router: uploadRouter } = require('./routes/upload');
+const tusRoutes = require('./routes/tus');
 const fileRoutes = require('./routes/files');
 const authRoutes = require('./routes/auth');
 
@@ -76,9 +89,19 @@ const authRoutes = require('./routes/auth');
 app.use('/api/auth/pin-required', pinStatusLimiter);
 app.use('/api/auth/logout', pinStatusLimiter);
 app.use('/api/auth', pinVerifyLimiter, authRoutes);
+// tus clients send many PATCH requests per upload, so they get the more permissive chunk limiter
+const requireUploadPin = requirePin(config.pin);
+app.use('/api/upload/tus', (req, res, next) => {
+  // Capability discovery must work without credentials, like a CORS preflight
+  if (req.method === 'OPTIONS') return next();
+  requireUploadPin(req, res, next);
+}, chunkUploadLimiter, tusRoutes);
 app.use('/api/upload', requirePin(config.pin), initUploadLimiter, uploadRouter);
 app.use('/api/files', requirePin(config.pin), downloadLimiter, fileRoutes);
 
+// Destination folders are injected URI-encoded so no folder name can break out of the page's string literal
+const UPLOAD_DESTINATIONS_PARAM = encodeURIComponent(JSON.stringify(config.uploadDestinations || [])).replace(/'/g, '%27');
+
 // Root route
 app.get('/', (req, res) => {
   // Check if the PIN is configured and the cookie exists
@@ -90,6 +113,8 @@ app.get('/', (req, res) => {
   html = html.replace(/{{SITE_TITLE}}/g, config.siteTitle);
   html = html.replace('{{AUTO_UPLOAD}}', config.autoUpload.toString());
   html = html.replace('{{MAX_RETRIES}}', config.clientMaxRetries.toString());
+  html = html.replace('{{CONFLICT_POLICY}}', config.conflictPolicy);
+  html = html.replace('{{UPLOAD_DESTINATIONS}}', UPLOAD_DESTINATIONS_PARAM);
   html = injectDemoBanner(html);
   res.send(html);
 });
@@ -120,6 +145,8 @@ app.use((req, res, next) => {
     if (req.path === '/index.html' || req.path === 'index.html') {
       html = html.replace('{{AUTO_UPLOAD}}', config.autoUpload.toString());
       html = html.replace('{{MAX_RETRIES}}', config.clientMaxRetries.toString());
+      html = html.replace('{{CONFLICT_POLICY}}', config.conflictPolicy);
+      html = html.replace('{{UPLOAD_DESTINATIONS}}', UPLOAD_DESTINATIONS_PARAM);
     }
     // Ensure baseUrl has a trailing slash
     const baseUrlWithSlash = config.baseUrl.endsWith('/') ? config.baseUrl : config.baseUrl + '/';
@@ -138,6 +165,11 @@ app.use('/toastify', express.static(path.join(__dirname, '../node_modules/toasti
 
 // Error handling middleware
 app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
+  // Bad requests caught by Express itself, e.g. a malformed URL encoding or JSON body
+  if (err.status >= 400 && err.status < 500) {
+    logger.warn(`Rejected request to ${req.path}: ${err.message}`);
+    return res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+  }
   logger.error(`Unhandled error: ${err.message}`);
   res.status(500).json({ 
     message: 'Internal server error', 
@@ -179,6 +211,23 @@ async function initialize() {
         throw new Error(`Failed to access or create metadata directory: ${METADATA_DIR}`);
     }
     // --- End added section ---
+
+    // Make sure the storage backend is reachable before accepting uploads
+    const storage = getStorage();
+    if (storage.init) {
+      try {
+        await storage.init();
+      } catch (err) {
+        throw new Error(`Storage backend ${storage.name} is not available: ${err.message}`);
+      }
+    }
+    logger.info(`Storage backend: ${storage.name}`);
+
+    // Expired files are swept from now on, including any that expired while the server was down
+    if (config.retentionMaxAge !== null || config.retentionRules.length > 0) {
+      logger.info('Retention policy enabled - expired files are deleted automatically');
+    }
+    startRetentionSweeper();
     
     // Log configuration
     logger.info(`Maximum file size set to: ${config.maxFileSize / (1024 * 1024)}MB`);
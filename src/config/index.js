@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 const { validatePin } = require('../utils/security');
+const { parseDuration } = require('../utils/duration');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -15,13 +16,37 @@ const { version } = require('../../package.json'); // Get version from package.j
  * UPLOAD_DIR          - Directory for uploads (Docker/production)
  * LOCAL_UPLOAD_DIR    - Directory for uploads (local dev, fallback: './local_uploads')
  * MAX_FILE_SIZE       - Max upload size in MB (default: 1024)
+ * MAX_CHUNK_SIZE      - Max size of a single upload chunk request in MB (default: 100)
+ * STORAGE_QUOTA       - Max total size of the upload directory in MB (optional)
+ * MIN_FREE_SPACE      - Free disk space in MB that uploads must leave on the volume (optional)
  * AUTO_UPLOAD         - Enable auto-upload (true/false, default: false)
+ * DEDUPLICATION       - Store identical uploads once via hardlinks (true/false, default: false, local storage only)
+ * UPLOAD_DESTINATIONS - Comma-separated folders clients may upload into (optional, default: any folder)
+ * CONFLICT_POLICY     - What to do when an upload's name is taken: rename, overwrite, skip or error (default: rename)
+ * RETENTION_MAX_AGE   - Delete stored files this long after upload, e.g. 30d or 12h (optional, default: keep forever)
+ * RETENTION_RULES     - Per-folder max ages overriding RETENTION_MAX_AGE, e.g. scans=7d,archive=never (optional)
+ * STORAGE_BACKEND     - Where finished uploads are stored: local or s3 (default: local)
+ * S3_ENDPOINT         - URL of the S3-compatible service, e.g. http://minio:9000 (default: AWS S3 for S3_REGION)
+ * S3_REGION           - Region used to sign S3 requests (default: us-east-1)
+ * S3_BUCKET           - Bucket finished uploads are stored in (required for s3)
+ * S3_ACCESS_KEY_ID    - Access key for the bucket (required for s3)
+ * S3_SECRET_ACCESS_KEY - Secret key for the bucket (required for s3)
+ * S3_FORCE_PATH_STYLE - Address the bucket as a path instead of a subdomain (true/false, default: true)
  * DUMBDROP_PIN        - Security PIN for uploads (required for protected endpoints)
+ * CLAMAV_SOCKET       - Unix socket of a ClamAV daemon to scan uploads with (optional)
+ * CLAMAV_HOST         - Host of a ClamAV daemon to scan uploads with (optional)
+ * CLAMAV_PORT         - TCP port of the ClamAV daemon (default: 3310)
+ * QUARANTINE_DIR      - Where infected uploads are moved (default: .metadata/quarantine in the upload directory)
+ * ENCRYPTION_KEY      - Secret to encrypt stored uploads with, at least 32 characters (optional, default: no encryption)
  * DUMBDROP_TITLE      - Site title (default: 'DumbDrop')
  * APPRISE_URL         - Apprise notification URL (optional)
  * APPRISE_MESSAGE     - Notification message template (default provided)
+ * APPRISE_BATCH_MESSAGE - Notification message template for completed batches (default provided)
+ * APPRISE_QUARANTINE_MESSAGE - Notification message template for quarantined uploads (default provided)
+ * APPRISE_OPERATION_MESSAGE - Notification message template for renamed, moved and copied files (default provided)
  * APPRISE_SIZE_UNIT   - Size unit for notifications (optional)
  * ALLOWED_EXTENSIONS  - Comma-separated list of allowed file extensions (optional)
+ * VERIFY_FILE_TYPES   - Check file content against its extension and ALLOWED_EXTENSIONS (true/false, default: true)
  */
 
 // Helper for clear configuration logging
@@ -37,6 +62,14 @@ const NODE_ENV = process.env.NODE_ENV || 'production';
 const PORT = process.env.PORT || 3000;
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const DEFAULT_CLIENT_MAX_RETRIES = 5; // Default retry count
+const CONFLICT_POLICIES = ['rename', 'overwrite', 'skip', 'error'];
+const DEFAULT_CONFLICT_POLICY = 'rename';
+const DEFAULT_CLAMAV_PORT = 3310;
+const STORAGE_BACKENDS = ['local', 's3'];
+const DEFAULT_STORAGE_BACKEND = 'local';
+const DEFAULT_S3_REGION = 'us-east-1';
+const MIN_ENCRYPTION_KEY_LENGTH = 32;
+const NO_RETENTION = 'never';
 console.log('Loaded ENV:', {
   PORT,
   UPLOAD_DIR: process.env.UPLOAD_DIR,
@@ -50,6 +83,28 @@ const logAndReturn = (key, value, isDefault = false) => {
   return value;
 };
 
+// Optional size in MB from the environment, in bytes; unset or 0 disables the limit
+const parseOptionalMegabytes = (name) => {
+  const envValue = process.env[name];
+  if (envValue === undefined || envValue === '') return null;
+  const sizeInMB = parseInt(envValue, 10);
+  if (isNaN(sizeInMB) || sizeInMB < 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  if (sizeInMB === 0) return null;
+  return logAndReturn(name, sizeInMB) * 1024 * 1024; // Convert MB to bytes
+};
+
+// Retention duration such as "30d"; "never" keeps files forever (null)
+const parseRetention = (name, value) => {
+  if (value.trim().toLowerCase() === NO_RETENTION) return null;
+  const maxAge = parseDuration(value);
+  if (maxAge === null) {
+    throw new Error(`${name} must be a duration such as 12h, 30d or 2w, or "${NO_RETENTION}"`);
+  }
+  return maxAge;
+};
+
 /**
  * Determine the upload directory based on environment variables.
  * Priority:
@@ -104,6 +159,18 @@ function ensureLocalUploadDirExists(uploadDir) {
 const resolvedUploadDir = determineUploadDirectory();
 ensureLocalUploadDirExists(resolvedUploadDir);
 
+const storageBackend = (() => {
+  const envValue = process.env.STORAGE_BACKEND;
+  if (envValue === undefined) {
+    return logAndReturn('STORAGE_BACKEND', DEFAULT_STORAGE_BACKEND, true);
+  }
+  const backend = envValue.trim().toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  return logAndReturn('STORAGE_BACKEND', backend);
+})();
+
 /**
  * Application configuration
  * Loads and validates environment variables
@@ -149,11 +216,156 @@ const config = {
     }
     return sizeInMB * 1024 * 1024; // Convert MB to bytes
   })(),
+  /**
+   * Max size of a single upload chunk request in bytes (default: 100MB)
+   * Set via MAX_CHUNK_SIZE in .env (in MB)
+   */
+  maxChunkSize: (() => {
+    const envValue = process.env.MAX_CHUNK_SIZE;
+    if (envValue === undefined) return DEFAULT_CHUNK_SIZE;
+    const sizeInMB = parseInt(envValue, 10);
+    if (isNaN(sizeInMB) || sizeInMB <= 0) {
+      throw new Error('MAX_CHUNK_SIZE must be a positive number');
+    }
+    return sizeInMB * 1024 * 1024; // Convert MB to bytes
+  })(),
+  /**
+   * Max total size of the upload directory in bytes (optional)
+   * Set via STORAGE_QUOTA in .env (in MB)
+   */
+  storageQuota: parseOptionalMegabytes('STORAGE_QUOTA'),
+  /**
+   * Free disk space in bytes that uploads must leave on the volume (optional)
+   * Set via MIN_FREE_SPACE in .env (in MB)
+   */
+  minFreeSpace: parseOptionalMegabytes('MIN_FREE_SPACE'),
   /**
    * Enable auto-upload (true/false, default: false)
    * Set via AUTO_UPLOAD in .env
    */
   autoUpload: process.env.AUTO_UPLOAD === 'true',
+  /**
+   * Store identical uploads once, as hardlinks to shared content (true/false, default: false)
+   * Set via DEDUPLICATION in .env; only available with local storage
+   */
+  deduplication: (() => {
+    if (process.env.DEDUPLICATION !== 'true') return false;
+    if (storageBackend !== 'local') {
+      logConfig(`DEDUPLICATION needs local storage and is disabled for STORAGE_BACKEND=${storageBackend}`, 'warning');
+      return false;
+    }
+    return true;
+  })(),
+  /**
+   * What to do when an upload's name already exists (default: rename)
+   * rename: store as "name (1).ext", overwrite: replace the existing file,
+   * skip: keep the existing file and discard the upload, error: reject with 409
+   * Set via CONFLICT_POLICY in .env; clients may choose per upload
+   */
+  conflictPolicy: (() => {
+    const envValue = process.env.CONFLICT_POLICY;
+    if (envValue === undefined) {
+      return logAndReturn('CONFLICT_POLICY', DEFAULT_CONFLICT_POLICY, true);
+    }
+    const policy = envValue.trim().toLowerCase();
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      logConfig(
+        `Invalid CONFLICT_POLICY value: "${envValue}". Using default: ${DEFAULT_CONFLICT_POLICY}`,
+        'warning',
+      );
+      return logAndReturn('CONFLICT_POLICY', DEFAULT_CONFLICT_POLICY, true);
+    }
+    return logAndReturn('CONFLICT_POLICY', policy);
+  })(),
+  /**
+   * Folders within the upload directory that clients may choose as destination (default: any)
+   * Set via UPLOAD_DESTINATIONS in .env as a comma-separated list, e.g. invoices,scans,photos
+   */
+  uploadDestinations: (() => {
+    const envValue = process.env.UPLOAD_DESTINATIONS;
+    if (!envValue) return null;
+    const folders = envValue.split(',')
+      .map(folder => folder.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean);
+    for (const folder of folders) {
+      if (folder.split('/').some(segment => !segment || segment === '.' || segment === '..' || segment === '.metadata')) {
+        throw new Error(`Invalid UPLOAD_DESTINATIONS entry "${folder}", expected a folder within the upload directory`);
+      }
+    }
+    logConfig(`UPLOAD_DESTINATIONS: ${folders.join(', ')}`);
+    return folders;
+  })(),
+  /**
+   * Max age of stored files in milliseconds before they are deleted (default: null, keep forever)
+   * Set via RETENTION_MAX_AGE in .env as a duration, e.g. 30d, 12h or 2w (a bare number is in days)
+   */
+  retentionMaxAge: (() => {
+    const envValue = process.env.RETENTION_MAX_AGE;
+    if (!envValue) return null;
+    const maxAge = parseRetention('RETENTION_MAX_AGE', envValue);
+    logConfig(`RETENTION_MAX_AGE: ${envValue}`);
+    return maxAge;
+  })(),
+  /**
+   * Per-folder max ages overriding retentionMaxAge, most specific folder first (default: none)
+   * Each rule covers the folder and everything below it; maxAge is null for folders kept forever
+   * Set via RETENTION_RULES in .env as comma-separated folder=duration pairs, e.g. scans=7d,scans/keep=never
+   */
+  retentionRules: (() => {
+    const envValue = process.env.RETENTION_RULES;
+    if (!envValue) return [];
+    const rules = envValue.split(',').filter(rule => rule.trim()).map(rule => {
+      const separator = rule.lastIndexOf('=');
+      const folder = rule.slice(0, separator).trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+      if (separator === -1 || !folder) {
+        throw new Error(`Invalid RETENTION_RULES entry "${rule.trim()}", expected folder=duration`);
+      }
+      return { folder, maxAge: parseRetention(`RETENTION_RULES for ${folder}`, rule.slice(separator + 1)) };
+    });
+    logConfig(`RETENTION_RULES: ${envValue}`);
+    return rules.sort((a, b) => b.folder.length - a.folder.length);
+  })(),
+  
+  // =====================
+  // =====================
+  // Storage backend
+  // =====================
+  /**
+   * Where finished uploads are stored: local (the upload directory) or s3 (default: local)
+   * Uploads are always received in the upload directory first; metadata stays there too
+   * Set via STORAGE_BACKEND in .env
+   */
+  storageBackend,
+  /**
+   * URL of the S3-compatible service, e.g. http://minio:9000 (default: AWS S3 for the region)
+   * Set via S3_ENDPOINT in .env
+   */
+  s3Endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || DEFAULT_S3_REGION}.amazonaws.com`,
+  /**
+   * Region used to sign S3 requests (default: us-east-1)
+   * Set via S3_REGION in .env
+   */
+  s3Region: process.env.S3_REGION || DEFAULT_S3_REGION,
+  /**
+   * Bucket finished uploads are stored in (required for s3)
+   * Set via S3_BUCKET in .env
+   */
+  s3Bucket: process.env.S3_BUCKET || null,
+  /**
+   * Access key ID for the bucket (required for s3)
+   * Set via S3_ACCESS_KEY_ID in .env
+   */
+  s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+  /**
+   * Secret access key for the bucket (required for s3)
+   * Set via S3_SECRET_ACCESS_KEY in .env
+   */
+  s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+  /**
+   * Address the bucket as part of the path instead of a subdomain, as MinIO and Garage expect (default: true)
+   * Set via S3_FORCE_PATH_STYLE in .env
+   */
+  s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
   
   // =====================
   // =====================
@@ -164,6 +376,40 @@ const config = {
    * Set via DUMBDROP_PIN in .env
    */
   pin: validatePin(process.env.DUMBDROP_PIN),
+  /**
+   * Unix socket of a ClamAV daemon to scan finished uploads with (optional)
+   * Set via CLAMAV_SOCKET in .env; takes precedence over CLAMAV_HOST
+   */
+  clamavSocket: process.env.CLAMAV_SOCKET || null,
+  /**
+   * Host of a ClamAV daemon to scan finished uploads with (optional)
+   * Set via CLAMAV_HOST in .env
+   */
+  clamavHost: process.env.CLAMAV_HOST || null,
+  /**
+   * TCP port of the ClamAV daemon (default: 3310)
+   * Set via CLAMAV_PORT in .env
+   */
+  clamavPort: (() => {
+    const envValue = process.env.CLAMAV_PORT;
+    if (envValue === undefined) return DEFAULT_CLAMAV_PORT;
+    const port = parseInt(envValue, 10);
+    if (isNaN(port) || port <= 0 || port > 65535) {
+      logConfig(`Invalid CLAMAV_PORT value: "${envValue}". Using default: ${DEFAULT_CLAMAV_PORT}`, 'warning');
+      return DEFAULT_CLAMAV_PORT;
+    }
+    return port;
+  })(),
+  /**
+   * Where infected uploads are moved to (default: .metadata/quarantine in the upload directory)
+   * Set via QUARANTINE_DIR in .env
+   */
+  quarantineDir: process.env.QUARANTINE_DIR || path.join(resolvedUploadDir, '.metadata', 'quarantine'),
+  /**
+   * Secret that uploads are encrypted with at rest, at least 32 characters (optional)
+   * Set via ENCRYPTION_KEY in .env; without it, already encrypted files can't be read
+   */
+  encryptionKey: process.env.ENCRYPTION_KEY || null,
   
   // =====================
   // =====================
@@ -189,6 +435,21 @@ const config = {
    * Set via APPRISE_MESSAGE in .env
    */
   appriseMessage: process.env.APPRISE_MESSAGE || 'New file uploaded - {filename} ({size}), Storage used {storage}',
+  /**
+   * Notification message template for completed upload batches (default provided)
+   * Set via APPRISE_BATCH_MESSAGE in .env
+   */
+  appriseBatchMessage: process.env.APPRISE_BATCH_MESSAGE || 'New batch uploaded - {count} files ({size}), Storage used {storage}',
+  /**
+   * Notification message template for quarantined uploads (default provided)
+   * Set via APPRISE_QUARANTINE_MESSAGE in .env
+   */
+  appriseQuarantineMessage: process.env.APPRISE_QUARANTINE_MESSAGE || 'Infected upload quarantined - {filename} ({virus})',
+  /**
+   * Notification message template for renamed, moved and copied files and folders (default provided)
+   * Set via APPRISE_OPERATION_MESSAGE in .env
+   */
+  appriseOperationMessage: process.env.APPRISE_OPERATION_MESSAGE || 'File {operation} - {from} to {to}',
   /**
    * Size unit for notifications (optional)
    * Set via APPRISE_SIZE_UNIT in .env
@@ -207,6 +468,12 @@ const config = {
     process.env.ALLOWED_EXTENSIONS.split(',').map(ext => ext.trim().toLowerCase()) : 
     null,
 
+  /**
+   * Reject uploads whose content (magic bytes) doesn't match their extension or ALLOWED_EXTENSIONS (default: true)
+   * Set via VERIFY_FILE_TYPES in .env
+   */
+  verifyFileTypes: process.env.VERIFY_FILE_TYPES !== 'false',
+
   /**
    * Max number of retries for client-side chunk uploads (default: 5)
    * Set via CLIENT_MAX_RETRIES in .env
@@ -252,6 +519,31 @@ function validateConfig() {
     errors.push('BASE_URL must be a valid URL');
   }
   
+  if (config.storageBackend === 's3') {
+    if (!config.s3Bucket) errors.push('S3_BUCKET is required when STORAGE_BACKEND is s3');
+    if (!config.s3AccessKeyId || !config.s3SecretAccessKey) {
+      errors.push('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required when STORAGE_BACKEND is s3');
+    }
+    try {
+      new URL(config.s3Endpoint);
+    } catch (err) {
+      errors.push('S3_ENDPOINT must be a valid URL');
+    }
+  }
+
+  if (config.encryptionKey) {
+    if (config.encryptionKey.length < MIN_ENCRYPTION_KEY_LENGTH) {
+      errors.push(`ENCRYPTION_KEY must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters, e.g. from \`openssl rand -hex 32\``);
+    } else {
+      logger.info('Encryption at rest enabled for new uploads');
+    }
+  }
+
+  if (config.clamavSocket || config.clamavHost) {
+    const clamdAddress = config.clamavSocket || `${config.clamavHost}:${config.clamavPort}`;
+    logger.info(`Virus scanning enabled - clamd at ${clamdAddress}, quarantine in ${config.quarantineDir}`);
+  }
+
   if (config.nodeEnv === 'production') {
     if (!config.appriseUrl) {
       logger.info('Notifications disabled - No Configuration');
@@ -268,5 +560,7 @@ Object.freeze(config);
 
 module.exports = {
   config,
-  validateConfig
+  validateConfig,
+  CONFLICT_POLICIES,
+  STORAGE_BACKENDS
 }; 
\ No newline at end of file
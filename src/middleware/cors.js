@@ -75,8 +75,18 @@ function getCorsOptions(baseUrl) {
   const corsOptions = {
     origin: allowedOrigins,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Pin', 'X-Batch-Id'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: [
+      'Content-Type', 'Authorization', 'X-Pin', 'X-Batch-Id', 'Content-Range', 'X-Chunk-Offset',
+      'X-Chunk-Checksum',
+      // tus protocol
+      'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset', 'Upload-Checksum',
+      'Upload-Defer-Length', 'X-HTTP-Method-Override', 'X-Requested-With',
+    ],
+    exposedHeaders: [
+      'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+      'Tus-Checksum-Algorithm', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata',
+    ],
   };
   return corsOptions;
 }
@@ -7,25 +7,135 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs').promises;
+const { pipeline } = require('stream');
 const { config } = require('../config');
 const logger = require('../utils/logger');
-const { formatFileSize } = require('../utils/fileUtils');
+const { formatFileSize, resolveStoredPath, isHiddenKey, getParentFolder, isValidBatchId } = require('../utils/fileUtils');
+const { getFileAttributes } = require('../services/fileAttributes');
+const { deleteStoredFile } = require('../services/storedFiles');
+const { transferStoredPath } = require('../services/fileOperations');
+const { getExpiry, isExpired } = require('../services/retention');
+const { isDownloadExhausted, claimDownload, releaseDownload, completeDownload } = require('../services/downloadLimits');
+const { parseHistoryQuery, queryUploadHistory, listBatchUploads } = require('../services/uploadIndex');
+const { getStorage } = require('../storage');
+const { getPlaintextSize, createDecryptStream } = require('../utils/encryption');
+const { parseRanges, createEtag, isNotModified, isRangeApplicable, createMultipartRanges } = require('../utils/httpRanges');
+const { ARCHIVE_FORMATS, createArchiveStream } = require('../utils/archive');
+
+const DOWNLOADS_EXHAUSTED = 'File is no longer available: its download limit was reached';
+
+// Types that can run scripts when opened: shown inline only inside a sandbox without scripts or requests
+const SANDBOXED_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/xml', 'application/xml'];
+const SANDBOX_POLICY = "sandbox; default-src 'none'; img-src data:; style-src 'unsafe-inline'; frame-ancestors 'self'";
+// Scripts are never shown inline, so they can't be loaded from here by other pages
+const SCRIPT_TYPES = ['application/javascript', 'text/javascript', 'application/ecmascript', 'text/ecmascript'];
+
+// Encrypted files are larger on disk than their content
+function getContentSize(storedSize, attributes) {
+  return attributes?.encrypted ? getPlaintextSize(storedSize) : storedSize;
+}
+
+/**
+ * MIME type of a stored file: the type detected from its content when it was uploaded, else the one
+ * its extension maps to in the MIME database
+ * @param {string} key - Storage key of the file
+ * @param {Object|null} attributes - The file's attributes
+ * @returns {string}
+ */
+function getContentType(key, attributes) {
+  return attributes?.mimeType || express.static.mime.lookup(key);
+}
+
+/**
+ * How a file of the given type is shown by the view endpoint
+ * @param {string} contentType - MIME type of the file
+ * @returns {'inline'|'sandboxed'|'download'} Inline for media, PDFs and text; sandboxed for types that
+ *   can run scripts; download for everything else
+ */
+function getViewMode(contentType) {
+  if (SANDBOXED_TYPES.includes(contentType)) return 'sandboxed';
+  if (SCRIPT_TYPES.includes(contentType)) return 'download';
+  if (/^(image|audio|video|text)\//.test(contentType)) return 'inline';
+  return ['application/pdf', 'application/json'].includes(contentType) ? 'inline' : 'download';
+}
+
+/**
+ * Validate a folder given in the `path` query parameter
+ * @param {string} [value] - Folder relative to the upload directory
+ * @returns {string|null} Folder without leading or trailing slashes ('' for the top level), null if invalid
+ */
+function parseFolderPath(value) {
+  if (value === undefined) return '';
+  const folder = String(value).replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  return folder ? resolveStoredPath(folder) : '';
+}
+
+/**
+ * Read a stored file's content, or a range of it. Encrypted files are decrypted on the fly,
+ * reading only the segments a range covers.
+ * @param {string} key - Storage key of the file
+ * @param {number} storedSize - Size of the file in storage
+ * @param {Object|null} attributes - The file's attributes
+ * @param {{start: number, end: number}} [range] - Inclusive range of the content
+ * @returns {Promise<import('stream').Readable>}
+ */
+async function openStoredFile(key, storedSize, attributes, range) {
+  const storage = getStorage();
+  if (!attributes?.encrypted) return storage.createReadStream(key, range);
+  return createDecryptStream(
+    (start, end) => storage.createReadStream(key, { start, end }),
+    storedSize,
+    config.encryptionKey,
+    range
+  );
+}
+
+/**
+ * Wrap a handler for a single stored file, addressed as `/:filename` or, for files in folders,
+ * as `/path/<folder>/<file>`. Paths that leave the upload directory or name internal files are rejected.
+ * @param {(req: import('express').Request, res: import('express').Response, key: string) => Promise<void>} handler
+ * @returns {import('express').RequestHandler}
+ */
+function forStoredFile(handler) {
+  return (req, res) => {
+    const requested = req.params.filename ?? req.params[0];
+    const key = resolveStoredPath(requested);
+    if (!key) {
+      logger.warn(`Rejected file request for invalid path: ${JSON.stringify(requested)}`);
+      return res.status(400).json({ error: 'Invalid path' });
+    }
+    return handler(req, res, key);
+  };
+}
 
 /**
  * Get file information
  */
-router.get('/:filename/info', async (req, res) => {
-  const filePath = path.join(config.uploadDir, req.params.filename);
+async function sendFileInfo(req, res, key) {
+  const filePath = path.join(config.uploadDir, key);
   
   try {
-    const stats = await fs.stat(filePath);
+    const stats = await getStorage().stat(key);
+    const attributes = await getFileAttributes(filePath);
+    if (isDownloadExhausted(attributes)) {
+      return res.status(410).json({ error: DOWNLOADS_EXHAUSTED });
+    }
+    if (!stats || stats.isDirectory) throw new Error(`${key} does not exist`);
+    const expiresAt = getExpiry(key, stats.mtime, attributes);
+    if (isExpired(expiresAt)) throw new Error(`${key} has expired`);
+    const size = getContentSize(stats.size, attributes);
+    const limited = attributes?.downloadsRemaining !== undefined;
     const fileInfo = {
-      filename: req.params.filename,
-      size: stats.size,
-      formattedSize: formatFileSize(stats.size),
+      filename: key,
+      size,
+      formattedSize: formatFileSize(size),
       uploadDate: stats.mtime,
-      mimetype: path.extname(req.params.filename).slice(1)
+      mimetype: getContentType(key, attributes),
+      sha256: (!limited && attributes?.sha256) || null, // Would let a limited file's content be claimed by checksum
+      detectedMimeType: attributes?.mimeType || null,
+      expiresAt,
+      maxDownloads: attributes?.maxDownloads || null,
+      downloadsRemaining: attributes?.downloadsRemaining ?? null
     };
 
     res.json(fileInfo);
@@ -33,23 +143,92 @@ router.get('/:filename/info', async (req, res) => {
     logger.error(`Failed to get file info: ${err.message}`);
     res.status(404).json({ error: 'File not found' });
   }
-});
+}
 
 /**
- * Download file
+ * Download file, or with `inline` show it in the browser if its type is safe to view
  */
-router.get('/:filename/download', async (req, res) => {
-  const filePath = path.join(config.uploadDir, req.params.filename);
-  
+async function sendFile(req, res, key, { inline = false } = {}) {
+  const filePath = path.join(config.uploadDir, key);
+  let claim = null;
+
   try {
-    await fs.access(filePath);
+    const storage = getStorage();
+    const stats = await storage.stat(key);
+    const attributes = await getFileAttributes(filePath);
+    if (isDownloadExhausted(attributes)) {
+      return res.status(410).json({ error: DOWNLOADS_EXHAUSTED });
+    }
+    if (!stats || stats.isDirectory) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (isExpired(getExpiry(key, stats.mtime, attributes))) {
+      return res.status(404).json({ error: 'File not found' }); // Expired, awaiting the next retention sweep
+    }
+    if (attributes?.encrypted && !config.encryptionKey) {
+      logger.error(`Cannot download ${key}: it is encrypted and ENCRYPTION_KEY is not set`);
+      return res.status(500).json({ error: 'File is encrypted and the server has no key to decrypt it' });
+    }
+
+    const size = getContentSize(stats.size, attributes);
+    const limited = attributes?.downloadsRemaining !== undefined;
+    const validators = { etag: createEtag({ size, mtime: stats.mtime }, limited ? null : attributes?.sha256), lastModified: stats.mtime };
+    res.setHeader('ETag', validators.etag);
+    if (validators.lastModified) res.setHeader('Last-Modified', validators.lastModified.toUTCString());
+    if (isNotModified(req.headers, validators)) {
+      return res.status(304).end();
+    }
+
+    // A download-limited file is always sent whole, so every download that counts delivers all of it
+    const ranges = limited || !isRangeApplicable(req.headers, validators) ? undefined : parseRanges(req.headers.range, size);
+    if (ranges === null) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Range not satisfiable', size });
+    }
+
+    // Claimed before reading so concurrent downloads can't exceed the limit; HEAD requests don't count
+    claim = req.method === 'HEAD' ? { remaining: null } : await claimDownload(key);
+    if (!claim) {
+      return res.status(410).json({ error: DOWNLOADS_EXHAUSTED });
+    }
+
+    const openRange = (range) => openStoredFile(key, stats.size, attributes, range);
+    const viewMode = inline ? getViewMode(getContentType(key, attributes)) : 'download';
+    const contentType = viewMode === 'download' ? 'application/octet-stream' : getContentType(key, attributes);
+    const multipart = ranges?.length > 1 ? createMultipartRanges(ranges, size, contentType, openRange) : null;
+    const fileStream = multipart ? multipart.stream : await openRange(ranges?.[0]);
     
-    // Set headers for download
-    res.setHeader('Content-Disposition', `attachment; filename="${req.params.filename}"`);
-    res.setHeader('Content-Type', 'application/octet-stream');
+    // Set headers for download or viewing; viewed files may be embedded by DumbDrop's own pages
+    res.setHeader('Content-Disposition', `${viewMode === 'download' ? 'attachment' : 'inline'}; filename="${path.basename(key)}"`);
+    res.setHeader('Accept-Ranges', limited ? 'none' : 'bytes');
+    if (viewMode !== 'download') res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    if (viewMode === 'sandboxed') res.setHeader('Content-Security-Policy', SANDBOX_POLICY);
+    if (multipart) {
+      res.status(206);
+      res.setHeader('Content-Type', multipart.contentType);
+      res.setHeader('Content-Length', multipart.length);
+    } else if (ranges) {
+      res.status(206);
+      res.type(contentType); // Adds the charset of text types
+      res.setHeader('Content-Range', `bytes ${ranges[0].start}-${ranges[0].end}/${size}`);
+      res.setHeader('Content-Length', ranges[0].end - ranges[0].start + 1);
+    } else {
+      res.type(contentType);
+      res.setHeader('Content-Length', size);
+    }
     
+    // Count the download once the whole response was handed to the client, give it back otherwise.
+    // Bytes read from the file don't tell: a small file is read whole before a client that hangs up gets it.
+    if (claim.remaining !== null) {
+      res.on('close', () => {
+        const settled = res.writableFinished ?
+          completeDownload(key, claim) :
+          releaseDownload(key, claim);
+        settled.catch(err => logger.error(`Failed to update downloads of ${key}: ${err.message}`));
+      });
+    }
+
     // Stream the file
-    const fileStream = require('fs').createReadStream(filePath);
     fileStream.pipe(res);
     
     // Handle errors during streaming
@@ -57,51 +236,116 @@ router.get('/:filename/download', async (req, res) => {
       logger.error(`File streaming error: ${err.message}`);
       if (!res.headersSent) {
         res.status(500).json({ error: 'Failed to download file' });
+      } else {
+        res.destroy(); // Don't let a truncated download look complete
       }
     });
     
-    logger.info(`File download started: ${req.params.filename}`);
+    logger.info(`File download started: ${key}`);
   } catch (err) {
+    if (claim) await releaseDownload(key, claim).catch(() => {});
     logger.error(`File download failed: ${err.message}`);
-    res.status(404).json({ error: 'File not found' });
+    res.status(err.code === 'ENOENT' ? 404 : 500).json({
+      error: err.code === 'ENOENT' ? 'File not found' : 'Failed to download file'
+    });
   }
-});
+}
+
+router.get('/:filename/info', forStoredFile(sendFileInfo));
+router.get('/path/*/info', forStoredFile(sendFileInfo));
+router.get('/:filename/download', forStoredFile(sendFile));
+router.get('/path/*/download', forStoredFile(sendFile));
+
+const viewFile = (req, res, key) => sendFile(req, res, key, { inline: true });
+router.get('/:filename/view', forStoredFile(viewFile));
+router.get('/path/*/view', forStoredFile(viewFile));
 
 /**
- * List all files
+ * List files and folders. `path` selects a folder (default: the top level), `recursive=true`
+ * includes everything below it. Folders report the size and number of files and folders they contain.
  */
 router.get('/', async (req, res) => {
+  const folder = parseFolderPath(req.query.path);
+  if (folder === null) {
+    return res.status(400).json({ error: 'Invalid path', path: req.query.path });
+  }
+  const recursive = req.query.recursive === 'true' || req.query.recursive === '1';
+
   try {
-    const files = await fs.readdir(config.uploadDir);
-    
-    // Get stats for all files first
-    const fileStatsPromises = files.map(async filename => {
-      try {
-        const stats = await fs.stat(path.join(config.uploadDir, filename));
-        return { filename, stats, valid: stats.isFile() };
-      } catch (err) {
-        logger.error(`Failed to get stats for file ${filename}: ${err.message}`);
-        return { filename, valid: false };
+    const storage = getStorage();
+    if (folder) {
+      const stats = await storage.stat(folder);
+      if (!stats || !stats.isDirectory) {
+        return res.status(404).json({ error: 'Folder not found', path: folder });
       }
-    });
+    }
+    // Everything below the folder is read, even when not listed, so folders can report what they contain
+    const entries = await storage.list(folder, { recursive: true });
 
-    const fileStats = await Promise.all(fileStatsPromises);
-    
-    // Filter and map valid files
-    const fileList = fileStats
-      .filter(file => file.valid)
-      .map(({ filename, stats }) => ({
-        filename,
-        size: stats.size,
-        formattedSize: formatFileSize(stats.size),
-        uploadDate: stats.mtime
-      }));
+    const directories = new Map();
+    const getDirectory = (key) => {
+      let directory = directories.get(key);
+      if (!directory) {
+        directory = { path: key, size: 0, fileCount: 0, directoryCount: 0, uploadDate: null };
+        directories.set(key, directory);
+        for (let parent = getParentFolder(key); parent !== folder; parent = getParentFolder(parent)) {
+          getDirectory(parent).directoryCount++;
+        }
+      }
+      return directory;
+    };
+    const touchDirectory = (directory, mtime) => {
+      if (mtime && (!directory.uploadDate || mtime > directory.uploadDate)) directory.uploadDate = mtime;
+    };
+
+    // DumbDrop's own metadata, files still being received and expired or fully downloaded files
+    // awaiting deletion are not listed
+    const fileList = [];
+    for (const { key, size: storedSize, mtime, isDirectory } of entries) {
+      if (isHiddenKey(key)) continue;
+      if (isDirectory) {
+        touchDirectory(getDirectory(key), mtime);
+        continue;
+      }
+      const attributes = await getFileAttributes(path.join(config.uploadDir, key));
+      const expiresAt = getExpiry(key, mtime, attributes);
+      if (isExpired(expiresAt) || isDownloadExhausted(attributes)) continue;
+      const size = getContentSize(storedSize, attributes);
+      for (let parent = getParentFolder(key); parent !== folder; parent = getParentFolder(parent)) {
+        const directory = getDirectory(parent);
+        directory.size += size;
+        directory.fileCount++;
+        touchDirectory(directory, mtime);
+      }
+      if (!recursive && getParentFolder(key) !== folder) continue;
+      fileList.push({
+        filename: key,
+        size,
+        formattedSize: formatFileSize(size),
+        uploadDate: mtime,
+        expiresAt
+      });
+    }
 
     // Sort files by upload date (newest first)
     fileList.sort((a, b) => b.uploadDate - a.uploadDate);
+    const directoryList = [...directories.values()]
+      .filter(directory => recursive || getParentFolder(directory.path) === folder)
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map(({ path: directoryPath, size, fileCount, directoryCount, uploadDate }) => ({
+        path: directoryPath,
+        size,
+        formattedSize: formatFileSize(size),
+        fileCount,
+        directoryCount,
+        uploadDate
+      }));
 
-    res.json({ 
+    res.json({
+      path: folder,
+      recursive,
       files: fileList,
+      directories: directoryList,
       totalFiles: fileList.length,
       totalSize: fileList.reduce((acc, file) => acc + file.size, 0)
     });
@@ -111,16 +355,161 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Query parameters may be given once or repeated
+function toArray(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+/**
+ * Choose the files for an archive from exactly one of the `path`, `batchId` or `paths` query parameters
+ * @param {Object} query - Request query
+ * @returns {Promise<{archiveName: string, selected: Array<{key: string, name: string, stats?: Object}>}|{status: number, body: Object}>}
+ *   Files with their names in the archive (and stats if already known), or the error to answer with
+ */
+async function selectArchiveFiles(query) {
+  const storage = getStorage();
+  const listFiles = async (folder) => (await storage.list(folder, { recursive: true }))
+    .filter(({ isDirectory }) => !isDirectory)
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  // A folder: its files, named relative to its parent so the archive unpacks into the folder
+  if (query.path !== undefined) {
+    const folder = parseFolderPath(query.path);
+    if (folder === null) return { status: 400, body: { error: 'Invalid path', path: query.path } };
+    if (folder) {
+      const stats = await storage.stat(folder);
+      if (!stats || !stats.isDirectory) return { status: 404, body: { error: 'Folder not found', path: folder } };
+    }
+    const parent = getParentFolder(folder);
+    return {
+      archiveName: folder ? path.posix.basename(folder) : 'files',
+      selected: (await listFiles(folder)).map(stats => ({
+        key: stats.key,
+        name: parent ? stats.key.slice(parent.length + 1) : stats.key,
+        stats
+      }))
+    };
+  }
+
+  // A batch: the files it uploaded that are still stored, under their stored names
+  if (query.batchId !== undefined) {
+    if (typeof query.batchId !== 'string' || !isValidBatchId(query.batchId)) {
+      return { status: 400, body: { error: 'Invalid batch ID' } };
+    }
+    return {
+      archiveName: `batch-${query.batchId}`,
+      selected: (await listBatchUploads(query.batchId)).map(key => ({ key, name: key }))
+    };
+  }
+
+  // A selection of files and folders, all of which must exist
+  const selected = [];
+  for (const requested of toArray(query.paths)) {
+    const key = resolveStoredPath(requested);
+    if (!key) return { status: 400, body: { error: 'Invalid path', path: requested } };
+    const stats = await storage.stat(key);
+    if (!stats) return { status: 404, body: { error: 'File not found', path: key } };
+    if (stats.isDirectory) {
+      selected.push(...(await listFiles(key)).map(file => ({ key: file.key, name: file.key, stats: file })));
+    } else {
+      selected.push({ key, name: key, stats });
+    }
+  }
+  return { archiveName: 'files', selected };
+}
+
+/**
+ * Download several files as one ZIP or tar archive, generated while it is sent.
+ * Select a folder with `path`, a batch's uploads with `batchId`, or files and folders with `paths`
+ * (repeated for each); `format` is zip (default) or tar. Closing the connection stops the archive.
+ */
+router.get('/archive', async (req, res) => {
+  const format = req.query.format || 'zip';
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', formats: ARCHIVE_FORMATS });
+  }
+  const sources = ['path', 'batchId', 'paths'].filter(name => req.query[name] !== undefined);
+  if (sources.length !== 1) {
+    return res.status(400).json({ error: 'Specify exactly one of path, batchId or paths' });
+  }
+
+  try {
+    const selection = await selectArchiveFiles(req.query);
+    if (selection.status) {
+      return res.status(selection.status).json(selection.body);
+    }
+
+    // Expired and used up files are left out, and so are download-limited ones, whose
+    // downloads are only counted when they are downloaded on their own
+    const entries = [];
+    const seen = new Set();
+    for (const { key, name, stats: listed } of selection.selected) {
+      if (isHiddenKey(key) || seen.has(key)) continue;
+      seen.add(key);
+      const stats = listed || await getStorage().stat(key);
+      if (!stats || stats.isDirectory) continue; // Deleted since it was uploaded
+      const attributes = await getFileAttributes(path.join(config.uploadDir, key));
+      if (isExpired(getExpiry(key, stats.mtime, attributes)) || attributes?.downloadsRemaining !== undefined) continue;
+      if (attributes?.encrypted && !config.encryptionKey) {
+        logger.error(`Cannot archive ${key}: it is encrypted and ENCRYPTION_KEY is not set`);
+        return res.status(500).json({ error: 'File is encrypted and the server has no key to decrypt it', path: key });
+      }
+      entries.push({ key, name, size: getContentSize(stats.size, attributes), mtime: stats.mtime, storedSize: stats.size, attributes });
+    }
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'No files to archive' });
+    }
+
+    const archive = createArchiveStream(format, entries,
+      entry => openStoredFile(entry.key, entry.storedSize, entry.attributes));
+    res.setHeader('Content-Type', format === 'zip' ? 'application/zip' : 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="${selection.archiveName}.${format}"`);
+
+    logger.info(`Archive download started: ${selection.archiveName}.${format} (${entries.length} files)`);
+    // Destroys the archive, and with it the file being read, if the client disconnects
+    pipeline(archive, res, (err) => {
+      if (!err) {
+        logger.info(`Archive download finished: ${selection.archiveName}.${format}`);
+      } else if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.info(`Archive download cancelled: ${selection.archiveName}.${format}`);
+      } else {
+        logger.error(`Archive streaming error: ${err.message}`);
+      }
+    });
+  } catch (err) {
+    logger.error(`Failed to create archive: ${err.message}`);
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+/**
+ * Upload history: completed uploads from the upload index, newest first.
+ * Filters: filename (part of the name), batchId, ip, since/until (ISO date or ms), limit, offset
+ */
+router.get('/history', async (req, res) => {
+  let filters;
+  try {
+    filters = parseHistoryQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const { uploads, total } = await queryUploadHistory(filters);
+    res.json({ uploads, total, limit: filters.limit, offset: filters.offset });
+  } catch (err) {
+    logger.error(`Failed to read upload history: ${err.message}`);
+    res.status(500).json({ error: 'Failed to read upload history' });
+  }
+});
+
 /**
  * Delete file
  */
-router.delete('/:filename', async (req, res) => {
-  const filePath = path.join(config.uploadDir, req.params.filename);
-  
+async function deleteFile(req, res, key) {
   try {
-    await fs.access(filePath);
-    await fs.unlink(filePath);
-    logger.info(`File deleted: ${req.params.filename}`);
+    await deleteStoredFile(key);
+    logger.info(`File deleted: ${key}`);
     res.json({ message: 'File deleted successfully' });
   } catch (err) {
     logger.error(`File deletion failed: ${err.message}`);
@@ -128,6 +517,38 @@ router.delete('/:filename', async (req, res) => {
       error: err.code === 'ENOENT' ? 'File not found' : 'Failed to delete file' 
     });
   }
-});
+}
+
+router.delete('/:filename', forStoredFile(deleteFile));
+router.delete('/path/*', forStoredFile(deleteFile));
+
+/**
+ * Move or copy a file or folder. The JSON body gives its new `name`, the `destination` folder
+ * ('' for the top level) or both, and optionally the `conflict` policy for taken names.
+ * @param {'move'|'copy'} operation - Whether the original is kept
+ * @returns {(req: import('express').Request, res: import('express').Response, key: string) => Promise<void>}
+ */
+function transferFile(operation) {
+  return async (req, res, key) => {
+    const { name, destination, conflict } = req.body || {};
+    try {
+      const result = await transferStoredPath(operation, key, { name, destination, conflict });
+      res.json(result);
+    } catch (err) {
+      if (err.status) {
+        logger.warn(`Rejected ${operation} of ${key}: ${err.message}`);
+        return res.status(err.status).json({ error: err.message, ...err.details });
+      }
+      logger.error(`Failed to ${operation} ${key}: ${err.message}`);
+      res.status(500).json({ error: `Failed to ${operation} file` });
+    }
+  };
+}
+
+// Renaming is a move within the same folder
+router.patch('/:filename', forStoredFile(transferFile('move')));
+router.patch('/path/*', forStoredFile(transferFile('move')));
+router.post('/:filename/copy', forStoredFile(transferFile('copy')));
+router.post('/path/*/copy', forStoredFile(transferFile('copy')));
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * tus 1.0 resumable upload protocol route handlers.
+ * Implements the core protocol plus the creation, creation-with-upload,
+ * termination and checksum extensions on top of the shared upload sessions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { isDemoMode } = require('../utils/demoMode');
+const {
+  createUploadSession,
+  writeUploadStream,
+  finalizeReceivedUpload,
+  cancelUploadSession,
+  getReceivedRanges,
+  getContiguousOffset,
+  readUploadMetadata
+} = require('../services/uploadSessions');
+const { getUploader } = require('../services/uploadIndex');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'creation-with-upload', 'termination', 'checksum'];
+const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+const TUS_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Parse the Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {string} header - Raw header value
+ * @returns {Object} Decoded key/value pairs
+ */
+function parseUploadMetadata(header) {
+  const result = {};
+  if (!header) return result;
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    result[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return result;
+}
+
+/**
+ * Build the absolute URL of an upload resource, honouring BASE_URL subpaths
+ * @param {string} uploadId - Upload session ID
+ * @returns {string} Upload URL
+ */
+function getUploadUrl(uploadId) {
+  const baseUrl = config.baseUrl.endsWith('/') ? config.baseUrl : config.baseUrl + '/';
+  return new URL(`api/upload/tus/${uploadId}`, baseUrl).toString();
+}
+
+function getUploadOffset(metadata) {
+  if (metadata.bytesReceived >= metadata.fileSize) return metadata.fileSize;
+  return getContiguousOffset(getReceivedRanges(metadata));
+}
+
+/**
+ * Parse the Upload-Checksum header into the digest the received body must match
+ * @param {string} [header] - "<algorithm> <base64 digest>"
+ * @returns {{checksum?: Object, error?: string}} Checksum for writeUploadStream, or an error for unsupported values
+ */
+function parseUploadChecksum(header) {
+  if (!header) return {};
+  const [algorithm, expected] = header.trim().split(' ');
+  if (!TUS_CHECKSUM_ALGORITHMS.includes(algorithm) || !expected) {
+    return { error: 'Unsupported checksum algorithm' };
+  }
+  return { checksum: { algorithm, encoding: 'base64', expected } };
+}
+
+function sendError(res, err, context) {
+  if (err.code === 'CHECKSUM_MISMATCH') {
+    return res.status(460).json({ error: 'Checksum Mismatch' });
+  }
+  if (err.status === 413) {
+    res.set('Connection', 'close'); // Don't read the rest of an oversized body
+  }
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  logger.error(`tus ${context} failed: ${err.message} ${err.stack}`);
+  res.status(500).json({ error: `Failed to ${context}`, details: err.message });
+}
+
+// --- Protocol Middleware ---
+
+router.use((req, res, next) => {
+  // Clients that cannot send PATCH/DELETE tunnel them through POST
+  const override = req.headers['x-http-method-override'];
+  if (override && req.method === 'POST') {
+    req.method = override.toUpperCase();
+  }
+
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (isDemoMode()) {
+    logger.info(`[DEMO] Rejected tus ${req.method} request`);
+    return res.status(501).json({ error: 'tus uploads are not available in demo mode' });
+  }
+
+  if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+  }
+  next();
+});
+
+// --- Routes ---
+
+// Discover server capabilities
+router.options(['/', '/:uploadId'], (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(config.maxFileSize),
+    'Tus-Checksum-Algorithm': TUS_CHECKSUM_ALGORITHMS.join(',')
+  });
+  res.status(204).end();
+});
+
+// Create upload (creation, creation-with-upload)
+router.post('/', async (req, res) => {
+  if (req.headers['upload-defer-length']) {
+    return res.status(400).json({ error: 'Upload-Defer-Length is not supported' });
+  }
+  const uploadLength = req.headers['upload-length'];
+  if (uploadLength === undefined || !/^\d+$/.test(uploadLength)) {
+    return res.status(400).json({ error: 'Missing or invalid Upload-Length' });
+  }
+  if (Number(uploadLength) > config.maxFileSize) {
+    return res.status(413).json({ error: 'File too large', limit: config.maxFileSize });
+  }
+
+  const { checksum, error: checksumError } = parseUploadChecksum(req.headers['upload-checksum']);
+  if (checksumError) {
+    return res.status(400).json({ error: checksumError });
+  }
+
+  const uploadMetadata = parseUploadMetadata(req.headers['upload-metadata']);
+  const filename = uploadMetadata.relativePath || uploadMetadata.filename || uploadMetadata.name;
+
+  try {
+    const metadata = await createUploadSession({
+      filename,
+      fileSize: uploadLength,
+      batchId: req.headers['x-batch-id'] || uploadMetadata.batchId,
+      sha256: uploadMetadata.sha256,
+      conflict: uploadMetadata.conflict,
+      destination: uploadMetadata.destination,
+      expiresIn: uploadMetadata.expiresIn,
+      maxDownloads: uploadMetadata.maxDownloads,
+      uploader: getUploader(req),
+      extraMetadata: { tusMetadata: req.headers['upload-metadata'] || null }
+    });
+    if (metadata.skipped) {
+      // tus has no way to create an upload that needs no data, so a skip is reported as a conflict
+      return res.status(409).json({ error: 'File already exists', existing: metadata.existing });
+    }
+    logger.info(`tus upload created: ${metadata.uploadId} for ${metadata.originalFilename}`);
+
+    res.set('Location', getUploadUrl(metadata.uploadId));
+
+    // creation-with-upload: the request body already carries the first bytes
+    if (req.is(TUS_CONTENT_TYPE) && metadata.fileSize > 0) {
+      const updated = await writeUploadStream(metadata.uploadId, req, {
+        offset: 0,
+        maxBytes: metadata.fileSize,
+        checksum
+      });
+      res.set('Upload-Offset', String(getUploadOffset(updated)));
+    } else if (metadata.fileSize === 0) {
+      res.set('Upload-Offset', '0');
+    }
+
+    res.status(201).end();
+  } catch (err) {
+    sendError(res, err, 'create upload');
+  }
+});
+
+// Report upload offset
+router.head('/:uploadId', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const metadata = await readUploadMetadata(req.params.uploadId);
+    if (!metadata) {
+      return res.status(404).end();
+    }
+    // A session that still exists once all bytes arrived wasn't stored yet; the offset only counts once it is
+    if (metadata.bytesReceived >= metadata.fileSize) {
+      await finalizeReceivedUpload(metadata.uploadId);
+    }
+    res.set({
+      'Upload-Offset': String(getUploadOffset(metadata)),
+      'Upload-Length': String(metadata.fileSize)
+    });
+    if (metadata.tusMetadata) {
+      res.set('Upload-Metadata', metadata.tusMetadata);
+    }
+    res.status(200).end();
+  } catch (err) {
+    logger.error(`tus HEAD failed for ${req.params.uploadId}: ${err.message}`);
+    res.status(err.status || 500).end();
+  }
+});
+
+// Append data at the current offset (core, checksum)
+router.patch('/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (!req.is(TUS_CONTENT_TYPE)) {
+    return res.status(415).json({ error: `Content-Type must be ${TUS_CONTENT_TYPE}` });
+  }
+  const uploadOffset = req.headers['upload-offset'];
+  if (uploadOffset === undefined || !/^\d+$/.test(uploadOffset)) {
+    return res.status(400).json({ error: 'Missing or invalid Upload-Offset' });
+  }
+
+  const { checksum, error: checksumError } = parseUploadChecksum(req.headers['upload-checksum']);
+  if (checksumError) {
+    return res.status(400).json({ error: checksumError });
+  }
+
+  try {
+    const metadata = await readUploadMetadata(uploadId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Upload session not found or already completed' });
+    }
+
+    const currentOffset = getUploadOffset(metadata);
+    if (Number(uploadOffset) !== currentOffset) {
+      logger.warn(`tus offset mismatch for ${uploadId}: client ${uploadOffset}, server ${currentOffset}`);
+      return res.status(409).json({ error: 'Upload-Offset does not match current offset', offset: currentOffset });
+    }
+
+    // Everything arrived but storing it failed (e.g. scanner unavailable): retry before reporting completion
+    if (metadata.bytesReceived >= metadata.fileSize) {
+      req.resume();
+      await finalizeReceivedUpload(uploadId);
+      res.set('Upload-Offset', String(currentOffset));
+      return res.status(204).end();
+    }
+
+    if (req.headers['content-length'] === '0') {
+      res.set('Upload-Offset', String(currentOffset));
+      return res.status(204).end();
+    }
+
+    // Bytes received before an interruption are kept, so the client resumes from the new offset
+    const updated = await writeUploadStream(uploadId, req, {
+      offset: currentOffset,
+      maxBytes: metadata.fileSize - currentOffset,
+      checksum
+    });
+    res.set('Upload-Offset', String(getUploadOffset(updated)));
+    res.status(204).end();
+  } catch (err) {
+    if (req.aborted || err.code === 'ECONNRESET') {
+      logger.warn(`tus PATCH for ${uploadId} aborted by client`);
+      return;
+    }
+    sendError(res, err, 'write upload data');
+  }
+});
+
+// Terminate upload (termination)
+router.delete('/:uploadId', async (req, res) => {
+  try {
+    const metadata = await cancelUploadSession(req.params.uploadId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Upload session not found or already completed' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'terminate upload');
+  }
+});
+
+module.exports = router;
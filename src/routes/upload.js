@@ -8,115 +8,59 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const path = require('path');
-const fs = require('fs').promises; // Use promise-based fs
-const fsSync = require('fs'); // For sync checks like existsSync
 const { config } = require('../config');
 const logger = require('../utils/logger');
-const { getUniqueFilePath, getUniqueFolderPath, sanitizeFilename, sanitizePathPreserveDirs, isValidBatchId } = require('../utils/fileUtils');
+const { isValidBatchId } = require('../utils/fileUtils');
 const { sendNotification } = require('../services/notifications');
+const {
+  createUploadError,
+  createUploadSession,
+  writeUploadStream,
+  cancelUploadSession,
+  getUploadProgress,
+  getReceivedRanges,
+  getContiguousOffset,
+  generateBatchId,
+  toSafeUploadPath,
+  startBatchCleanup,
+  stopBatchCleanup,
+  readUploadMetadata,
+  writeUploadMetadata,
+  deleteUploadMetadata,
+  listUploadMetadata
+} = require('../services/uploadSessions');
 const { isDemoMode } = require('../utils/demoMode');
+const { formUpload, limitFormStorage, storeFormFile, getShareXConfig } = require('../services/formUploads');
+const { declareBatch, getBatch } = require('../services/batches');
+const { getUploader } = require('../services/uploadIndex');
 
-// --- Persistence Setup ---
-const METADATA_DIR = path.join(config.uploadDir, '.metadata');
-
-// --- In-Memory Maps (Still useful for session-level data) ---
-// Store folder name mappings for batch uploads (avoids FS lookups during session)
-const folderMappings = new Map();
-// Store batch activity timestamps (for cleaning up stale batches/folder mappings)
-const batchActivity = new Map();
-
-const BATCH_TIMEOUT = 30 * 60 * 1000; // 30 minutes for batch/folderMapping cleanup
-
-// --- Helper Functions for Metadata ---
-
-async function readUploadMetadata(uploadId) {
-  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
-    logger.warn(`Attempted to read metadata with invalid uploadId: ${uploadId}`);
-    return null;
-  }
-  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
-  try {
-    const data = await fs.readFile(metaFilePath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return null; // Metadata file doesn't exist - normal case for new/finished uploads
+/**
+ * Read the byte offset of a chunk from the request headers.
+ * Accepts either `Content-Range: bytes <start>-<end>/<total>` or `X-Chunk-Offset: <start>`.
+ * @param {Object} req - Express request
+ * @param {number} [chunkSize] - Declared length of the chunk, if known
+ * @returns {{offset: number|null, totalSize?: number, length?: number, error?: string}} Offset, null if the client sent none
+ */
+function parseChunkOffset(req, chunkSize) {
+  const contentRange = req.headers['content-range'];
+  if (contentRange) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange.trim());
+    if (!match) return { offset: null, error: 'Invalid Content-Range header' };
+    const start = Number(match[1]);
+    const end = Number(match[2]);
+    if (end < start || (chunkSize !== undefined && end - start + 1 !== chunkSize)) {
+      return { offset: null, error: 'Content-Range does not match chunk length' };
     }
-    logger.error(`Error reading metadata for ${uploadId}: ${err.message}`);
-    throw err; // Rethrow other errors
+    return { offset: start, totalSize: match[3] === '*' ? undefined : Number(match[3]), length: end - start + 1 };
   }
-}
 
-async function writeUploadMetadata(uploadId, metadata) {
-  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
-    logger.error(`Attempted to write metadata with invalid uploadId: ${uploadId}`);
-    return; // Prevent writing
-  }
-  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
-  metadata.lastActivity = Date.now(); // Update timestamp on every write
-  try {
-    // Write atomically if possible (write to temp then rename) for more safety
-    const tempMetaPath = `${metaFilePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
-    await fs.writeFile(tempMetaPath, JSON.stringify(metadata, null, 2));
-    await fs.rename(tempMetaPath, metaFilePath);
-  } catch (err) {
-    logger.error(`Error writing metadata for ${uploadId}: ${err.message}`);
-    // Attempt to clean up temp file if rename failed
-    try { await fs.unlink(tempMetaPath); } catch (unlinkErr) {/* ignore */}
-    throw err;
+  const offsetHeader = req.headers['x-chunk-offset'];
+  if (offsetHeader !== undefined) {
+    if (!/^\d+$/.test(String(offsetHeader).trim())) return { offset: null, error: 'Invalid X-Chunk-Offset header' };
+    return { offset: Number(offsetHeader) };
   }
-}
 
-async function deleteUploadMetadata(uploadId) {
-  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
-    logger.warn(`Attempted to delete metadata with invalid uploadId: ${uploadId}`);
-    return;
-  }
-  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
-  try {
-    await fs.unlink(metaFilePath);
-    logger.debug(`Deleted metadata file for upload: ${uploadId}.meta`);
-  } catch (err) {
-    if (err.code !== 'ENOENT') { // Ignore if already deleted
-      logger.error(`Error deleting metadata file ${uploadId}.meta: ${err.message}`);
-    }
-  }
-}
-
-// --- Batch Cleanup (Focuses on batchActivity map, not primary upload state) ---
-let batchCleanupInterval;
-function startBatchCleanup() {
-  if (batchCleanupInterval) clearInterval(batchCleanupInterval);
-  batchCleanupInterval = setInterval(() => {
-    const now = Date.now();
-    logger.info(`Running batch cleanup, checking ${batchActivity.size} active batch sessions`);
-    let cleanedCount = 0;
-    for (const [batchId, lastActivity] of batchActivity.entries()) {
-      if (now - lastActivity >= BATCH_TIMEOUT) {
-        logger.info(`Cleaning up inactive batch session: ${batchId}`);
-        batchActivity.delete(batchId);
-        // Clean up associated folder mappings for this batch
-        for (const key of folderMappings.keys()) {
-          if (key.endsWith(`-${batchId}`)) {
-            folderMappings.delete(key);
-          }
-        }
-        cleanedCount++;
-      }
-    }
-    if (cleanedCount > 0) logger.info(`Cleaned up ${cleanedCount} inactive batch sessions.`);
-  }, 5 * 60 * 1000); // Check every 5 minutes
-  batchCleanupInterval.unref(); // Allow process to exit if this is the only timer
-  return batchCleanupInterval;
-}
-function stopBatchCleanup() {
-  if (batchCleanupInterval) {
-    clearInterval(batchCleanupInterval);
-    batchCleanupInterval = null;
-  }
-}
-if (!process.env.DISABLE_BATCH_CLEANUP) {
-  startBatchCleanup();
+  return { offset: null };
 }
 
 // --- Routes ---
@@ -136,139 +80,45 @@ router.post('/init', async (req, res) => {
     return res.json({ uploadId });
   }
 
-  const { filename, fileSize } = req.body;
-  const clientBatchId = req.headers['x-batch-id'];
-
-  // --- Basic validations ---
-  if (!filename) return res.status(400).json({ error: 'Missing filename' });
-  if (fileSize === undefined || fileSize === null) return res.status(400).json({ error: 'Missing fileSize' });
-  const size = Number(fileSize);
-  if (isNaN(size) || size < 0) return res.status(400).json({ error: 'Invalid file size' });
-  const maxSizeInBytes = config.maxFileSize;
-  if (size > maxSizeInBytes) return res.status(413).json({ error: 'File too large', limit: maxSizeInBytes });
-
-  const batchId = clientBatchId || `${Date.now()}-${crypto.randomBytes(4).toString('hex').substring(0, 9)}`;
-  if (clientBatchId && !isValidBatchId(batchId)) return res.status(400).json({ error: 'Invalid batch ID format' });
-  batchActivity.set(batchId, Date.now()); // Track batch session activity
+  const { filename, fileSize, sha256, conflict, destination, expiresIn, maxDownloads } = req.body;
 
   try {
-    // --- Path handling and Sanitization ---
-    const sanitizedFilename = sanitizePathPreserveDirs(filename);
-    const safeFilename = path.normalize(sanitizedFilename)
-      .replace(/^(\.\.(\/|\\|$))+/, '')
-      .replace(/\\/g, '/')
-      .replace(/^\/+/, '');
-    logger.info(`Upload init request for: ${safeFilename}`);
-
-    // --- Extension Check ---
-    if (config.allowedExtensions) {
-      const fileExt = path.extname(safeFilename).toLowerCase();
-      if (fileExt && !config.allowedExtensions.includes(fileExt)) {
-        logger.warn(`File type not allowed: ${safeFilename} (Extension: ${fileExt})`);
-        return res.status(400).json({ error: 'File type not allowed', receivedExtension: fileExt });
-      }
-    }
-
-    // --- Determine Paths & Handle Folders ---
-    const uploadId = crypto.randomBytes(16).toString('hex');
-    let finalFilePath = path.join(config.uploadDir, safeFilename);
-    const pathParts = safeFilename.split('/').filter(Boolean);
-
-    if (pathParts.length > 1) {
-      const originalFolderName = pathParts[0];
-      let newFolderName = folderMappings.get(`${originalFolderName}-${batchId}`);
-      const baseFolderPath = path.join(config.uploadDir, newFolderName || originalFolderName);
-
-      if (!newFolderName) {
-        await fs.mkdir(path.dirname(baseFolderPath), { recursive: true });
-        try {
-          await fs.mkdir(baseFolderPath, { recursive: false });
-          newFolderName = originalFolderName;
-        } catch (err) {
-          if (err.code === 'EEXIST') {
-            const uniqueFolderPath = await getUniqueFolderPath(baseFolderPath);
-            newFolderName = path.basename(uniqueFolderPath);
-            logger.info(`Folder "${originalFolderName}" exists or conflict, using unique "${newFolderName}" for batch ${batchId}`);
-            await fs.mkdir(path.join(config.uploadDir, newFolderName), { recursive: true });
-          } else {
-            throw err;
-          }
-        }
-        folderMappings.set(`${originalFolderName}-${batchId}`, newFolderName);
-      }
-      pathParts[0] = newFolderName;
-      finalFilePath = path.join(config.uploadDir, ...pathParts);
-      await fs.mkdir(path.dirname(finalFilePath), { recursive: true });
-    } else {
-      await fs.mkdir(config.uploadDir, { recursive: true }); // Ensure base upload dir exists
-    }
-
-    // --- Check Final Path Collision & Get Unique Name if Needed ---
-    let checkPath = finalFilePath;
-    let counter = 1;
-    while (fsSync.existsSync(checkPath)) {
-      logger.warn(`Final destination file already exists: ${checkPath}. Generating unique name.`);
-      const dir = path.dirname(finalFilePath);
-      const ext = path.extname(finalFilePath);
-      const baseName = path.basename(finalFilePath, ext);
-      checkPath = path.join(dir, `${baseName} (${counter})${ext}`);
-      counter++;
-    }
-    if (checkPath !== finalFilePath) {
-      logger.info(`Using unique final path: ${checkPath}`);
-      finalFilePath = checkPath;
-      // If path changed, ensure directory exists (might be needed if baseName contained '/')
-      await fs.mkdir(path.dirname(finalFilePath), { recursive: true });
+    const metadata = await createUploadSession({
+      filename,
+      fileSize,
+      sha256,
+      conflict,
+      destination,
+      expiresIn,
+      maxDownloads,
+      skipKnownContent: true,
+      batchId: req.headers['x-batch-id'],
+      uploader: getUploader(req)
+    });
+    if (metadata.skipped) {
+      // Name taken and the conflict policy keeps the existing file
+      return res.json({ skipped: true, existing: metadata.existing });
     }
-
-    const partialFilePath = finalFilePath + '.partial';
-
-    // --- Create and Persist Metadata ---
-    const metadata = {
-      uploadId,
-      originalFilename: safeFilename, // Store the path as received by client
-      filePath: finalFilePath, // The final, possibly unique, path
-      partialFilePath,
-      fileSize: size,
-      bytesReceived: 0,
-      batchId,
-      createdAt: Date.now(),
-      lastActivity: Date.now()
-    };
-
-    await writeUploadMetadata(uploadId, metadata);
-    logger.info(`Initialized persistent upload: ${uploadId} for ${safeFilename} -> ${finalFilePath}`);
-
-    // --- Handle Zero-Byte Files --- // (Important: Handle *after* metadata potentially exists)
-    if (size === 0) {
-      try {
-        await fs.writeFile(finalFilePath, ''); // Create the empty file
-        logger.success(`Completed zero-byte file upload: ${metadata.originalFilename} as ${finalFilePath}`);
-        await deleteUploadMetadata(uploadId); // Clean up metadata since it's done
-        sendNotification(metadata.originalFilename, 0, config);
-      } catch (writeErr) {
-        logger.error(`Failed to create zero-byte file ${finalFilePath}: ${writeErr.message}`);
-        await deleteUploadMetadata(uploadId).catch(() => {}); // Attempt cleanup on error
-        throw writeErr; // Let the main catch block handle it
-      }
+    if (metadata.complete) {
+      // Content already stored; the client must not send any chunks
+      return res.json({ uploadId: metadata.uploadId, complete: true, deduplicated: true });
     }
-
-    res.json({ uploadId });
-
+    res.json({ uploadId: metadata.uploadId });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     logger.error(`Upload initialization failed: ${err.message} ${err.stack}`);
     return res.status(500).json({ error: 'Failed to initialize upload', details: err.message });
   }
 });
 
 // Upload chunk
-router.post('/chunk/:uploadId', express.raw({ 
-  limit: config.maxFileSize + (10 * 1024 * 1024), // Generous limit for raw body
-  type: 'application/octet-stream' 
-}), async (req, res) => {
+router.post('/chunk/:uploadId', async (req, res) => {
   // DEMO MODE CHECK
   if (isDemoMode()) {
     const { uploadId } = req.params;
+    req.resume(); // Discard the body
     logger.debug(`[DEMO] Received chunk for ${uploadId}`);
     // Fake progress - requires knowing file size which isn't easily available here in demo
     const demoProgress = Math.min(100, Math.random() * 100); // Placeholder
@@ -276,134 +126,368 @@ router.post('/chunk/:uploadId', express.raw({
   }
 
   const { uploadId } = req.params;
-  let chunk = req.body;
-  let chunkSize = chunk.length;
+  const contentLength = req.headers['content-length'];
+  const chunkSize = contentLength === undefined ? undefined : Number(contentLength);
   const clientBatchId = req.headers['x-batch-id']; // Logged but not used directly here
 
-  if (!chunkSize) return res.status(400).json({ error: 'Empty chunk received' });
+  if (chunkSize === 0) return res.status(400).json({ error: 'Empty chunk received' });
+  if (chunkSize > config.maxChunkSize) {
+    // Close the connection instead of reading the oversized body
+    res.set('Connection', 'close');
+    return res.status(413).json({ error: 'Chunk too large', limit: config.maxChunkSize });
+  }
+
+  // --- Resolve Chunk Offset ---
+  const { offset, totalSize, length, error: offsetError } = parseChunkOffset(req, chunkSize);
+  if (offsetError) {
+    logger.warn(`Rejected chunk for ${uploadId}: ${offsetError}`);
+    return res.status(400).json({ error: offsetError });
+  }
+
+  // --- Stream Chunk --- Verified against X-Chunk-Checksum as it arrives; a failed chunk leaves nothing recorded
+  const chunkChecksum = req.headers['x-chunk-checksum'];
+  try {
+    const metadata = await writeUploadStream(uploadId, req, {
+      offset,
+      totalSize,
+      maxBytes: Math.min(length ?? Infinity, config.maxChunkSize),
+      checksum: chunkChecksum ?
+        { algorithm: 'sha256', encoding: 'hex', expected: String(chunkChecksum).trim().toLowerCase() } :
+        undefined,
+      keepPartialOnError: false
+    });
+    res.json({
+      bytesReceived: metadata.bytesReceived,
+      nextOffset: metadata.bytesReceived >= metadata.fileSize ?
+        metadata.fileSize : getContiguousOffset(getReceivedRanges(metadata)),
+      progress: getUploadProgress(metadata)
+    });
+  } catch (err) {
+    if (req.aborted || err.code === 'ECONNRESET') {
+      logger.warn(`Chunk upload for ${uploadId} aborted by client`);
+      return;
+    }
+    if (err.status === 404) {
+      logger.warn(`Upload metadata not found for chunk request: ${uploadId}. Client Batch ID: ${clientBatchId || 'none'}. Upload may be complete or cancelled.`);
+    }
+    if (err.status === 413) {
+      res.set('Connection', 'close');
+    }
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    logger.error(`Chunk upload failed for ${uploadId}: ${err.message} ${err.stack}`);
+    // Don't delete metadata on generic chunk errors, let client retry or cleanup handle stale files
+    res.status(500).json({ error: 'Failed to process chunk', details: err.message });
+  }
+});
+
+// Upload a whole file in one request (e.g. `curl -T file .../api/upload/raw/file`)
+router.put('/raw/*', async (req, res) => {
+  const filename = req.params[0];
+
+  // DEMO MODE CHECK
+  if (isDemoMode()) {
+    req.resume(); // Discard the body
+    logger.info(`[DEMO] Received raw upload for ${filename}`);
+    return res.status(201).json({ message: 'File uploaded (Demo)', filename });
+  }
+
+  // The size must be known up front for the limit, quota and conflict checks
+  const contentLength = req.headers['content-length'];
+  if (contentLength === undefined) {
+    return res.status(411).json({ error: 'Content-Length header is required' });
+  }
 
   let metadata;
-  let fileHandle;
+  try {
+    metadata = await createUploadSession({
+      filename,
+      fileSize: contentLength,
+      sha256: req.query.sha256,
+      conflict: req.query.conflict,
+      expiresIn: req.query.expiresIn,
+      maxDownloads: req.query.maxDownloads,
+      renameFolders: false, // Paths name destinations, so existing folders are reused
+      batchId: req.headers['x-batch-id'],
+      uploader: getUploader(req)
+    });
+    if (metadata.skipped) {
+      req.resume();
+      return res.json({ skipped: true, existing: metadata.existing });
+    }
+    if (metadata.fileSize > 0) {
+      metadata = await writeUploadStream(metadata.uploadId, req, { offset: 0 });
+    }
+    if (metadata.bytesReceived < metadata.fileSize) {
+      throw createUploadError(400, 'Request body is shorter than Content-Length', { bytesReceived: metadata.bytesReceived });
+    }
+    res.status(201).json({
+      message: 'File uploaded',
+      filename: path.relative(config.uploadDir, metadata.filePath).replace(/\\/g, '/'),
+      size: metadata.fileSize
+    });
+  } catch (err) {
+    // A single-request upload cannot be resumed, so drop whatever was received
+    if (metadata?.uploadId) {
+      await cancelUploadSession(metadata.uploadId).catch(() => {});
+    }
+    if (req.aborted || err.code === 'ECONNRESET') {
+      logger.warn(`Raw upload of ${filename} aborted by client`);
+      return;
+    }
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    logger.error(`Raw upload of ${filename} failed: ${err.message} ${err.stack}`);
+    res.status(500).json({ error: 'Failed to upload file', details: err.message });
+  }
+});
+
+// Upload files as multipart/form-data (ShareX, HTML forms, iOS Shortcuts)
+router.post('/form', async (req, res) => {
+  // DEMO MODE CHECK
+  if (isDemoMode()) {
+    req.resume(); // Discard the body
+    logger.info('[DEMO] Received form upload');
+    return res.status(201).json({ message: 'Files uploaded (Demo)', files: [] });
+  }
 
+  // Checked before anything is written, so a form that can't be stored doesn't fill the disk first
   try {
-    metadata = await readUploadMetadata(uploadId);
+    const shortfall = await limitFormStorage(req);
+    if (shortfall) {
+      logger.warn(`Rejected form upload (${req.headers['content-length']} bytes): ${shortfall.message}`);
+      res.set('Connection', 'close'); // Don't read the body
+      return res.status(507).json({ error: shortfall.message, ...shortfall.details });
+    }
+  } catch (err) {
+    logger.error(`Form upload failed: ${err.message} ${err.stack}`);
+    return res.status(500).json({ error: 'Failed to receive form upload', details: err.message });
+  }
 
-    if (!metadata) {
-      logger.warn(`Upload metadata not found for chunk request: ${uploadId}. Client Batch ID: ${clientBatchId || 'none'}. Upload may be complete or cancelled.`);
-      // Check if the final file exists as a fallback for completed uploads
-      // This is a bit fragile, but handles cases where metadata was deleted slightly early
-      try {
-        // Need to guess the final path - THIS IS NOT ROBUST
-        // A better approach might be needed if this is common
-        // For now, just return 404
-        // await fs.access(potentialFinalPath);
-        // return res.json({ bytesReceived: fileSizeGuess, progress: 100 });
-        return res.status(404).json({ error: 'Upload session not found or already completed' });
-      } catch (finalCheckErr) {
-        return res.status(404).json({ error: 'Upload session not found or already completed' });
+  formUpload.any()(req, res, async (err) => {
+    if (err) {
+      if (err.status) {
+        logger.warn(`Form upload stopped: ${err.message}`);
+        return res.status(err.status).json({ error: err.message, ...err.details });
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'File too large', limit: config.maxFileSize });
       }
+      if (err.name === 'MulterError') {
+        return res.status(400).json({ error: err.message });
+      }
+      logger.error(`Form upload failed: ${err.message} ${err.stack}`);
+      return res.status(500).json({ error: 'Failed to receive form upload', details: err.message });
     }
 
-    // Update batch activity using metadata's batchId
-    if (metadata.batchId && isValidBatchId(metadata.batchId)) {
-      batchActivity.set(metadata.batchId, Date.now());
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files received' });
     }
 
-    // --- Sanity Checks & Idempotency ---
-    if (metadata.bytesReceived >= metadata.fileSize) {
-      logger.warn(`Received chunk for already completed upload ${uploadId} (${metadata.originalFilename}). Finalizing again if needed.`);
-      // Ensure finalization if possible, then return success
+    // Files are stored one after another; a rejected file doesn't stop the rest
+    const results = [];
+    for (const file of files) {
       try {
-        await fs.access(metadata.filePath); // Check if final file exists
-        logger.info(`Upload ${uploadId} already finalized at ${metadata.filePath}.`);
-      } catch (accessErr) {
-        // Final file doesn't exist, attempt rename
-        try {
-          await fs.rename(metadata.partialFilePath, metadata.filePath);
-          logger.info(`Finalized ${uploadId} on redundant chunk request (renamed ${metadata.partialFilePath} -> ${metadata.filePath}).`);
-        } catch (renameErr) {
-          if (renameErr.code === 'ENOENT') {
-            logger.warn(`Partial file ${metadata.partialFilePath} missing during redundant chunk finalization for ${uploadId}.`);
-          } else {
-            logger.error(`Error finalizing ${uploadId} on redundant chunk: ${renameErr.message}`);
-          }
+        results.push(await storeFormFile(file, {
+          conflict: req.body.conflict,
+          destination: req.body.destination,
+          expiresIn: req.body.expiresIn,
+          maxDownloads: req.body.maxDownloads,
+          batchId: req.headers['x-batch-id'] || req.body.batchId,
+          uploader: getUploader(req)
+        }));
+      } catch (fileErr) {
+        if (!fileErr.status) {
+          logger.error(`Storing form upload ${fileErr.originalName} failed: ${fileErr.message} ${fileErr.stack}`);
         }
+        results.push({
+          originalName: fileErr.originalName,
+          status: fileErr.status || 500,
+          error: fileErr.status ? fileErr.message : 'Failed to store file',
+          ...fileErr.details
+        });
       }
-      // Regardless of rename outcome, delete metadata if it still exists
-      await deleteUploadMetadata(uploadId);
-      return res.json({ bytesReceived: metadata.fileSize, progress: 100 });
     }
 
-    // Prevent writing beyond expected file size (simple protection)
-    if (metadata.bytesReceived + chunkSize > metadata.fileSize) {
-      logger.warn(`Chunk for ${uploadId} exceeds expected file size. Received ${metadata.bytesReceived + chunkSize}, expected ${metadata.fileSize}. Truncating chunk.`);
-      const bytesToWrite = metadata.fileSize - metadata.bytesReceived;
-      chunk = chunk.slice(0, bytesToWrite);
-      chunkSize = chunk.length;
-      if (chunkSize <= 0) { // If we already have exactly the right amount
-        logger.info(`Upload ${uploadId} already has expected bytes. Skipping write, proceeding to finalize.`);
-        // Skip write, proceed to finalization check below
-        metadata.bytesReceived = metadata.fileSize; // Ensure state is correct for finalization
-      } else {
-        logger.info(`Truncated chunk for ${uploadId} to ${chunkSize} bytes.`);
-      }
+    const stored = results.filter(result => result.url);
+    const failed = results.filter(result => result.error);
+    if (failed.length === results.length) {
+      return res.status(failed[0].status).json({ error: failed[0].error, files: results });
     }
+    // `url` points at the first stored file for clients that expect a single link (ShareX)
+    res.status(stored.length > 0 ? 201 : 200).json({ files: results, url: stored[0]?.url });
+  });
+});
 
-    // --- Write Chunk (Append Mode) --- // Only write if chunk has size after potential truncation
-    if (chunkSize > 0) {
-      fileHandle = await fs.open(metadata.partialFilePath, 'a');
-      const writeResult = await fileHandle.write(chunk);
-      await fileHandle.close(); // Close immediately
-
-      if (writeResult.bytesWritten !== chunkSize) {
-        // This indicates a partial write, which is problematic.
-        logger.error(`Partial write for chunk ${uploadId}! Expected ${chunkSize}, wrote ${writeResult.bytesWritten}. Disk full?`);
-        // How to recover? Maybe revert bytesReceived? For now, throw.
-        throw new Error(`Failed to write full chunk for ${uploadId}`);
-      }
-      metadata.bytesReceived += writeResult.bytesWritten;
+// Download a ShareX custom uploader config for this server
+router.get('/sharex', (req, res) => {
+  res.set('Content-Disposition', `attachment; filename="${config.siteTitle.replace(/[^\w.-]+/g, '_')}.sxcu"`);
+  res.json(getShareXConfig());
+});
+
+/**
+ * Shape persisted metadata into the public status response (no server paths).
+ * @param {Object} metadata - Upload metadata
+ * @returns {Object} Status payload
+ */
+function formatUploadStatus(metadata) {
+  const ranges = getReceivedRanges(metadata);
+  return {
+    uploadId: metadata.uploadId,
+    filename: metadata.originalFilename,
+    finalName: path.relative(config.uploadDir, metadata.filePath).replace(/\\/g, '/'),
+    fileSize: metadata.fileSize,
+    bytesReceived: metadata.bytesReceived,
+    nextOffset: getContiguousOffset(ranges),
+    receivedRanges: ranges,
+    progress: getUploadProgress(metadata),
+    batchId: metadata.batchId,
+    createdAt: metadata.createdAt,
+    lastActivity: metadata.lastActivity
+  };
+}
+
+// Upload status for a single session (used to resume after reloads or network drops)
+router.get('/status/:uploadId', async (req, res) => {
+  if (isDemoMode()) {
+    return res.status(404).json({ error: 'Upload session not found or already completed' });
+  }
+
+  const { uploadId } = req.params;
+  try {
+    const metadata = await readUploadMetadata(uploadId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'Upload session not found or already completed' });
     }
+    res.json(formatUploadStatus(metadata));
+  } catch (err) {
+    logger.error(`Failed to read upload status for ${uploadId}: ${err.message}`);
+    res.status(500).json({ error: 'Failed to read upload status' });
+  }
+});
 
-    // --- Update State --- (bytesReceived updated above or set if truncated to zero)
-    const progress = metadata.fileSize === 0 ? 100 :
-      Math.min( Math.round((metadata.bytesReceived / metadata.fileSize) * 100), 100);
+// Find in-progress sessions by batch ID and/or filename + size fingerprint
+router.get('/status', async (req, res) => {
+  if (isDemoMode()) {
+    return res.json({ uploads: [] });
+  }
 
-    logger.debug(`Chunk written for ${uploadId}: ${metadata.bytesReceived}/${metadata.fileSize} (${progress}%)`);
+  const { batchId, filename, fileSize } = req.query;
+  if (!batchId && !filename) {
+    return res.status(400).json({ error: 'Provide batchId or filename (with fileSize) to look up uploads' });
+  }
+  if (batchId && !isValidBatchId(batchId)) {
+    return res.status(400).json({ error: 'Invalid batch ID format' });
+  }
+  if (filename && (fileSize === undefined || isNaN(Number(fileSize)))) {
+    return res.status(400).json({ error: 'fileSize is required when looking up by filename' });
+  }
 
-    // --- Persist Updated Metadata (Before potential finalization) ---
-    await writeUploadMetadata(uploadId, metadata);
+  try {
+    const sessions = await listUploadMetadata();
+    const safeFilename = filename ? toSafeUploadPath(String(filename)) : null;
+    const matches = sessions.filter(metadata => {
+      if (batchId && metadata.batchId !== batchId) return false;
+      if (safeFilename && (metadata.originalFilename !== safeFilename || metadata.fileSize !== Number(fileSize))) return false;
+      return true;
+    });
+    matches.sort((a, b) => b.lastActivity - a.lastActivity);
+    res.json({ uploads: matches.map(formatUploadStatus) });
+  } catch (err) {
+    logger.error(`Failed to look up upload sessions: ${err.message}`);
+    res.status(500).json({ error: 'Failed to look up upload sessions' });
+  }
+});
 
-    // --- Check for Completion --- // Now happens after metadata update
-    if (metadata.bytesReceived >= metadata.fileSize) {
-      logger.info(`Upload ${uploadId} (${metadata.originalFilename}) completed ${metadata.bytesReceived} bytes.`);
-      try {
-        await fs.rename(metadata.partialFilePath, metadata.filePath);
-        logger.success(`Upload completed and finalized: ${metadata.originalFilename} as ${metadata.filePath} (${metadata.fileSize} bytes)`);
-        await deleteUploadMetadata(uploadId); // Clean up metadata file AFTER successful rename
-        sendNotification(metadata.originalFilename, metadata.fileSize, config);
-      } catch (renameErr) {
-        if (renameErr.code === 'ENOENT') {
-          logger.warn(`Partial file ${metadata.partialFilePath} not found during finalization for ${uploadId}. Assuming already finalized elsewhere.`);
-          // Attempt to delete metadata anyway if partial is gone
-          await deleteUploadMetadata(uploadId).catch(() => {});
-        } else {
-          logger.error(`CRITICAL: Failed to rename partial file ${metadata.partialFilePath} to ${metadata.filePath}: ${renameErr.message}`);
-          // Keep metadata and partial file for manual recovery.
-          // Return success to client as data is likely there, but log server issue.
-        }
-      }
-    }
+// Optional count from a request body: undefined when absent, NaN when not a non-negative integer
+function parseBatchCount(value) {
+  if (value === undefined || value === null) return undefined;
+  const count = Number(value);
+  return Number.isSafeInteger(count) && count >= 0 ? count : NaN;
+}
 
-    res.json({ bytesReceived: metadata.bytesReceived, progress });
+/**
+ * Shape a batch manifest and its in-flight sessions into the batch status response.
+ * @param {Object} batch - Batch manifest
+ * @param {Object[]} sessions - Upload metadata of the batch's unfinished uploads
+ * @returns {Object} Status payload
+ */
+function formatBatchStatus(batch, sessions) {
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    expectedFiles: batch.expectedFiles,
+    expectedBytes: batch.expectedBytes,
+    storedFiles: batch.files.length,
+    storedBytes: batch.files.reduce((sum, file) => sum + file.size, 0),
+    files: batch.files,
+    skipped: batch.skipped,
+    failed: batch.failed,
+    uploads: sessions.map(formatUploadStatus),
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt
+  };
+}
+
+// Declare a batch so completion can be tracked and notified once for the whole batch
+router.post('/batch', async (req, res) => {
+  const { batchId: clientBatchId } = req.body;
+  const expectedFiles = parseBatchCount(req.body.expectedFiles);
+  const expectedBytes = parseBatchCount(req.body.expectedBytes);
+  if (Number.isNaN(expectedFiles) || Number.isNaN(expectedBytes)) {
+    return res.status(400).json({ error: 'expectedFiles and expectedBytes must be non-negative integers' });
+  }
+  if (!expectedFiles && !expectedBytes) {
+    return res.status(400).json({ error: 'Provide expectedFiles and/or expectedBytes greater than zero' });
+  }
+  if (clientBatchId !== undefined && !isValidBatchId(clientBatchId)) {
+    return res.status(400).json({ error: 'Invalid batch ID format' });
+  }
 
+  const batchId = clientBatchId || generateBatchId();
+  if (isDemoMode()) {
+    logger.info(`[DEMO] Declared batch ${batchId}`);
+    return res.status(201).json({ batchId });
+  }
+
+  try {
+    const batch = await declareBatch(batchId, {
+      expectedFiles: expectedFiles || null,
+      expectedBytes: expectedBytes ?? null
+    });
+    if (!batch) {
+      return res.status(409).json({ error: 'Batch already declared', batchId });
+    }
+    res.status(201).json(formatBatchStatus(batch, []));
   } catch (err) {
-    // Ensure file handle is closed on error
-    if (fileHandle) {
-      await fileHandle.close().catch(closeErr => logger.error(`Error closing file handle for ${uploadId} after error: ${closeErr.message}`));
+    logger.error(`Failed to declare batch ${batchId}: ${err.message}`);
+    res.status(500).json({ error: 'Failed to declare batch' });
+  }
+});
+
+// Status of a declared batch, including the files stored so far and uploads still in progress
+router.get('/batch/:batchId', async (req, res) => {
+  const { batchId } = req.params;
+  if (!isValidBatchId(batchId)) {
+    return res.status(400).json({ error: 'Invalid batch ID format' });
+  }
+  if (isDemoMode()) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  try {
+    const batch = await getBatch(batchId);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
     }
-    logger.error(`Chunk upload failed for ${uploadId}: ${err.message} ${err.stack}`);
-    // Don't delete metadata on generic chunk errors, let client retry or cleanup handle stale files
-    res.status(500).json({ error: 'Failed to process chunk', details: err.message });
+    const sessions = (await listUploadMetadata()).filter(metadata => metadata.batchId === batchId);
+    res.json(formatBatchStatus(batch, sessions));
+  } catch (err) {
+    logger.error(`Failed to read batch status for ${batchId}: ${err.message}`);
+    res.status(500).json({ error: 'Failed to read batch status' });
   }
 });
 
@@ -419,22 +503,8 @@ router.post('/cancel/:uploadId', async (req, res) => {
   logger.info(`Received cancel request for upload: ${uploadId}`);
 
   try {
-    const metadata = await readUploadMetadata(uploadId);
-
-    if (metadata) {
-      // Delete partial file first
-      try {
-        await fs.unlink(metadata.partialFilePath);
-        logger.info(`Deleted partial file on cancellation: ${metadata.partialFilePath}`);
-      } catch (unlinkErr) {
-        if (unlinkErr.code !== 'ENOENT') { // Ignore if already gone
-          logger.error(`Failed to delete partial file ${metadata.partialFilePath} on cancel: ${unlinkErr.message}`);
-        }
-      }
-      // Then delete metadata file
-      await deleteUploadMetadata(uploadId);
-      logger.info(`Upload cancelled and cleaned up: ${uploadId} (${metadata.originalFilename})`);
-    } else {
+    const metadata = await cancelUploadSession(uploadId);
+    if (!metadata) {
       logger.warn(`Cancel request for non-existent or already completed upload: ${uploadId}`);
     }
 
@@ -453,4 +523,4 @@ module.exports = {
   readUploadMetadata,
   writeUploadMetadata,
   deleteUploadMetadata
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,174 @@
+/**
+ * Batch lifecycle for declared upload batches.
+ * A client declares how many files (and/or bytes) a batch will contain; every stored,
+ * skipped or failed file is recorded, and `batch.completed` is emitted once when the
+ * batch is done so notifications and hooks run once per batch instead of once per file.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { isValidBatchId } = require('../utils/fileUtils');
+const { sendBatchNotification } = require('./notifications');
+
+const BATCHES_FILE = path.join(config.uploadDir, '.metadata', 'batches.json');
+const BATCH_RETENTION = 24 * 60 * 60 * 1000; // Keep manifests for a day after their last activity
+
+const batchEvents = new EventEmitter();
+
+let batchesCache = null;
+let writeQueue = Promise.resolve();
+
+function loadBatches() {
+  // Share one read between concurrent callers so no update lands on a discarded copy
+  if (!batchesCache) {
+    batchesCache = fs.readFile(BATCHES_FILE, 'utf8')
+      .then(data => JSON.parse(data))
+      .catch(err => {
+        if (err.code !== 'ENOENT') {
+          logger.error(`Failed to read batch manifests, starting empty: ${err.message}`);
+        }
+        return {};
+      });
+  }
+  return batchesCache;
+}
+
+// Writes are queued so concurrent updates are persisted in order
+function persistBatches() {
+  writeQueue = writeQueue.then(async () => {
+    const batches = await loadBatches();
+    const now = Date.now();
+    for (const [batchId, batch] of Object.entries(batches)) {
+      if (now - batch.lastActivity > BATCH_RETENTION) delete batches[batchId];
+    }
+    const tempPath = `${BATCHES_FILE}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(BATCHES_FILE), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(batches, null, 2));
+      await fs.rename(tempPath, BATCHES_FILE);
+    } catch (err) {
+      logger.error(`Failed to write batch manifests: ${err.message}`);
+      try { await fs.unlink(tempPath); } catch (unlinkErr) {/* ignore */}
+    }
+  });
+  return writeQueue;
+}
+
+function isBatchDone(batch) {
+  const finishedCount = batch.files.length + batch.skipped.length + batch.failed.length;
+  if (batch.expectedFiles !== null) return finishedCount >= batch.expectedFiles;
+  // Skipped and failed files count with their declared size, they won't be sent again
+  const finishedBytes = [...batch.files, ...batch.skipped, ...batch.failed].reduce((sum, entry) => sum + (entry.size || 0), 0);
+  return finishedBytes >= batch.expectedBytes;
+}
+
+/**
+ * Declare a batch and what it will contain
+ * @param {string} batchId - Valid batch ID
+ * @param {Object} expected
+ * @param {number|null} expected.expectedFiles - Number of files the batch will contain
+ * @param {number|null} expected.expectedBytes - Total size of the batch in bytes
+ * @returns {Promise<Object|null>} The new manifest, or null if the batch was already declared
+ */
+async function declareBatch(batchId, { expectedFiles, expectedBytes }) {
+  const batches = await loadBatches();
+  if (batches[batchId]) return null;
+  const now = Date.now();
+  batches[batchId] = {
+    batchId,
+    expectedFiles,
+    expectedBytes,
+    files: [], // { filename, size } of stored files, relative to the upload directory
+    skipped: [], // { filename, size } of files not stored because of the conflict policy
+    failed: [], // { filename, error, size } of files that were rejected or cancelled
+    status: 'active',
+    createdAt: now,
+    lastActivity: now,
+    completedAt: null
+  };
+  await persistBatches();
+  logger.info(`Declared batch ${batchId}: ${expectedFiles ?? '?'} files, ${expectedBytes ?? '?'} bytes`);
+  return batches[batchId];
+}
+
+/**
+ * Get a batch manifest
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Manifest, or null for undeclared batches
+ */
+async function getBatch(batchId) {
+  if (!isValidBatchId(batchId)) return null;
+  const batches = await loadBatches();
+  return batches[batchId] || null;
+}
+
+// Record a finished file; completes the batch when it was the last one expected
+async function recordBatchEntry(batchId, list, entry) {
+  const batch = await getBatch(batchId);
+  if (!batch) return false;
+
+  batch[list].push(entry);
+  batch.lastActivity = Date.now();
+  const completed = batch.status === 'active' && isBatchDone(batch);
+  if (completed) {
+    batch.status = 'completed';
+    batch.completedAt = batch.lastActivity;
+  }
+  await persistBatches();
+
+  if (completed) {
+    logger.success(`Batch ${batchId} completed: ${batch.files.length} stored, ${batch.skipped.length} skipped, ${batch.failed.length} failed`);
+    batchEvents.emit('batch.completed', batch);
+  }
+  return true;
+}
+
+/**
+ * Record a stored file in its batch
+ * @param {string} [batchId] - Batch of the upload
+ * @param {{filename: string, size: number}} file - Final path relative to the upload directory and size
+ * @returns {Promise<boolean>} True if the batch is declared (and notifies on completion itself)
+ */
+function recordBatchFile(batchId, file) {
+  return recordBatchEntry(batchId, 'files', file);
+}
+
+/**
+ * Record a file that was skipped because its name was taken
+ * @param {string} [batchId] - Batch of the upload
+ * @param {string} filename - Requested path
+ * @param {number} size - Declared size of the skipped file
+ * @returns {Promise<boolean>} True if the batch is declared
+ */
+function recordBatchSkip(batchId, filename, size) {
+  return recordBatchEntry(batchId, 'skipped', { filename, size });
+}
+
+/**
+ * Record a file that will not be stored (rejected at init, failed verification or cancelled)
+ * @param {string} [batchId] - Batch of the upload
+ * @param {string} filename - Requested path
+ * @param {string} error - Reason
+ * @param {number} size - Declared size of the file, 0 if unknown
+ * @returns {Promise<boolean>} True if the batch is declared
+ */
+function recordBatchFailure(batchId, filename, error, size) {
+  return recordBatchEntry(batchId, 'failed', { filename, error, size });
+}
+
+batchEvents.on('batch.completed', (batch) => {
+  sendBatchNotification(batch, config);
+});
+
+module.exports = {
+  batchEvents,
+  declareBatch,
+  getBatch,
+  recordBatchFile,
+  recordBatchSkip,
+  recordBatchFailure
+};
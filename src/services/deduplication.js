@@ -0,0 +1,199 @@
+/**
+ * Content-addressed deduplication of finished uploads.
+ * Every stored file is hardlinked into a blob store named by its SHA-256, so an
+ * upload whose content already exists becomes another link to the same bytes.
+ * Download-limited files are kept out of it, so no other file can share the bytes they guard.
+ * Encrypted files are kept apart from plain ones (`.enc` blobs): the same content has different bytes on disk.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { getEncryptedSize } = require('../utils/encryption');
+
+const BLOB_DIR = path.join(config.uploadDir, '.metadata', 'blobs');
+const BLOB_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Errors meaning the filesystem can't hardlink here; dedup is skipped rather than failing the upload
+const LINK_UNSUPPORTED_CODES = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+// Link via a temporary name and rename over the target, so an existing file can be replaced
+async function linkReplacing(blobPath, targetPath) {
+  const tempPath = `${targetPath}.${crypto.randomBytes(4).toString('hex')}.link`;
+  await fs.link(blobPath, tempPath);
+  try {
+    await fs.rename(tempPath, targetPath);
+  } catch (err) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw err;
+  }
+}
+
+function getBlobPath(sha256, encrypted) {
+  return path.join(BLOB_DIR, sha256.slice(0, 2), encrypted ? `${sha256}.enc` : sha256);
+}
+
+async function findBlob(sha256, size, encrypted) {
+  const blobPath = getBlobPath(sha256, encrypted);
+  try {
+    const stats = await fs.stat(blobPath);
+    return stats.size === (encrypted ? getEncryptedSize(size) : size) ? blobPath : null;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function registerBlob(filePath, sha256, encrypted) {
+  const blobPath = getBlobPath(sha256, encrypted);
+  try {
+    await fs.mkdir(path.dirname(blobPath), { recursive: true });
+    await fs.link(filePath, blobPath);
+  } catch (err) {
+    if (err.code === 'EEXIST') return; // Registered concurrently
+    if (LINK_UNSUPPORTED_CODES.includes(err.code)) {
+      logger.warn(`Cannot hardlink ${filePath} into blob store (${err.code}); deduplication unavailable for it`);
+      return;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Move a completed partial file to its final path, linking to existing content when deduplication is on
+ * @param {string} partialFilePath - Fully received partial file
+ * @param {string} finalFilePath - Destination path
+ * @param {string} sha256 - Hex SHA-256 of the content
+ * @param {number} size - Size of the content in bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the partial file is encrypted
+ * @param {boolean} [options.shareable] - False to keep the file out of the blob store, e.g. when it is download-limited
+ * @returns {Promise<{deduplicated: boolean}>} Whether existing content was reused
+ */
+async function placeUploadedFile(partialFilePath, finalFilePath, sha256, size, { encrypted = false, shareable = true } = {}) {
+  if (!config.deduplication || !shareable) {
+    await fs.rename(partialFilePath, finalFilePath);
+    return { deduplicated: false };
+  }
+
+  const blobPath = await findBlob(sha256, size, encrypted);
+  if (blobPath) {
+    try {
+      await linkReplacing(blobPath, finalFilePath);
+      await fs.unlink(partialFilePath);
+      logger.info(`Deduplicated ${finalFilePath} against existing content ${sha256}`);
+      return { deduplicated: true };
+    } catch (err) {
+      if (!LINK_UNSUPPORTED_CODES.includes(err.code)) throw err;
+      logger.warn(`Hardlink to blob ${sha256} failed (${err.code}); storing a full copy`);
+    }
+  }
+
+  await fs.rename(partialFilePath, finalFilePath);
+  await registerBlob(finalFilePath, sha256, encrypted);
+  return { deduplicated: false };
+}
+
+/**
+ * Find stored content matching a checksum, e.g. to inspect it before linking
+ * @param {string} sha256 - Hex SHA-256 declared by the client
+ * @param {number} size - Declared size in bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Look for encrypted content
+ * @returns {Promise<string|null>} Path of the stored content, or null if unknown or deduplication is off
+ */
+async function findStoredContent(sha256, size, { encrypted = false } = {}) {
+  if (!config.deduplication || !sha256) return null;
+  return findBlob(sha256, size, encrypted);
+}
+
+/**
+ * Create a file directly from stored content, skipping the transfer entirely
+ * @param {string} sha256 - Hex SHA-256 declared by the client
+ * @param {number} size - Declared size in bytes
+ * @param {string} finalFilePath - Destination path
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Link encrypted content
+ * @returns {Promise<boolean>} True if the file was created from an existing blob
+ */
+async function linkExistingContent(sha256, size, finalFilePath, { encrypted = false } = {}) {
+  if (!config.deduplication || !sha256) return false;
+  const blobPath = await findBlob(sha256, size, encrypted);
+  if (!blobPath) return false;
+  try {
+    await linkReplacing(blobPath, finalFilePath);
+    return true;
+  } catch (err) {
+    if (LINK_UNSUPPORTED_CODES.includes(err.code)) return false;
+    throw err;
+  }
+}
+
+/**
+ * Remove a blob once no stored file links to it anymore
+ * @param {string} [sha256] - Hex SHA-256 of the content
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the content was stored encrypted
+ * @returns {Promise<void>}
+ */
+async function releaseBlob(sha256, { encrypted = false } = {}) {
+  if (!config.deduplication || !sha256) return;
+  const blobPath = getBlobPath(sha256, encrypted);
+  try {
+    const stats = await fs.stat(blobPath);
+    if (stats.nlink <= 1) {
+      await fs.unlink(blobPath);
+      logger.debug(`Released unreferenced blob ${sha256}`);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error(`Failed to release blob ${sha256}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Remove blobs that are no longer linked from any stored file (e.g. deleted outside DumbDrop)
+ * @returns {Promise<void>}
+ */
+async function pruneOrphanedBlobs() {
+  let prefixes;
+  try {
+    prefixes = await fs.readdir(BLOB_DIR);
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.error(`Failed to read blob store: ${err.message}`);
+    return;
+  }
+  let prunedCount = 0;
+  for (const prefix of prefixes) {
+    const prefixDir = path.join(BLOB_DIR, prefix);
+    const blobs = await fs.readdir(prefixDir).catch(() => []);
+    for (const blob of blobs) {
+      try {
+        const stats = await fs.stat(path.join(prefixDir, blob));
+        if (stats.nlink <= 1) {
+          await fs.unlink(path.join(prefixDir, blob));
+          prunedCount++;
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') logger.error(`Failed to prune blob ${blob}: ${err.message}`);
+      }
+    }
+  }
+  if (prunedCount > 0) logger.info(`Pruned ${prunedCount} orphaned deduplication blobs.`);
+}
+
+if (config.deduplication) {
+  const blobPruneTimer = setInterval(pruneOrphanedBlobs, BLOB_PRUNE_INTERVAL);
+  blobPruneTimer.unref(); // Allow process to exit if this is the only timer
+}
+
+module.exports = {
+  placeUploadedFile,
+  findStoredContent,
+  linkExistingContent,
+  releaseBlob,
+  pruneOrphanedBlobs
+};
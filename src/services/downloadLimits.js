@@ -0,0 +1,89 @@
+/**
+ * Download limits for burn-after-reading files.
+ * An upload may allow a number of downloads. Each download claims one before it starts, so
+ * concurrent requests can't exceed the limit, and gives it back if the transfer fails. Once
+ * the last one completes the file is deleted, leaving a record behind so it is reported as gone.
+ */
+
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { updateFileAttributes } = require('./fileAttributes');
+const { deleteStoredFile } = require('./storedFiles');
+
+/**
+ * Parse the number of downloads an uploader allows
+ * @param {string|number} value - Positive integer
+ * @returns {number|null} The limit, or null if the value is not a positive integer
+ */
+function parseMaxDownloads(value) {
+  if (!/^\d+$/.test(String(value).trim())) return null;
+  const maxDownloads = Number(value);
+  return maxDownloads > 0 && Number.isSafeInteger(maxDownloads) ? maxDownloads : null;
+}
+
+/**
+ * Whether a file has used up its downloads. Also true for the record of a file deleted for that reason.
+ * @param {Object|null} attributes - The file's attributes
+ * @returns {boolean}
+ */
+function isDownloadExhausted(attributes) {
+  return attributes?.downloadsRemaining === 0;
+}
+
+/**
+ * Claim one download of a stored file before sending it
+ * @param {string} key - Storage key of the file
+ * @returns {Promise<{remaining: number|null}|null>} Downloads left after this one (null if unlimited),
+ *   or null if none are left
+ */
+async function claimDownload(key) {
+  let claimed = false;
+  const attributes = await updateFileAttributes(path.join(config.uploadDir, key), current => {
+    if (!current || current.downloadsRemaining === undefined || current.downloadsRemaining <= 0) return null;
+    claimed = true;
+    return { ...current, downloadsRemaining: current.downloadsRemaining - 1 };
+  });
+  if (claimed) return { remaining: attributes.downloadsRemaining };
+  return isDownloadExhausted(attributes) ? null : { remaining: null };
+}
+
+/**
+ * Give back a claimed download whose transfer did not complete
+ * @param {string} key - Storage key of the file
+ * @param {{remaining: number|null}} claim - From claimDownload
+ * @returns {Promise<void>}
+ */
+async function releaseDownload(key, claim) {
+  if (claim.remaining === null) return;
+  await updateFileAttributes(path.join(config.uploadDir, key), current => {
+    if (!current || current.downloadsRemaining === undefined) return null;
+    return { ...current, downloadsRemaining: current.downloadsRemaining + 1 };
+  });
+}
+
+/**
+ * Settle a completed download, deleting the file if it was the last one allowed
+ * @param {string} key - Storage key of the file
+ * @param {{remaining: number|null}} claim - From claimDownload
+ * @returns {Promise<void>}
+ */
+async function completeDownload(key, claim) {
+  if (claim.remaining !== 0) return;
+  try {
+    // Remembered until another file is stored under the name, so the file is reported as gone, not missing
+    await deleteStoredFile(key, { leaveRecord: { downloadsRemaining: 0, exhaustedAt: new Date().toISOString() } });
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return;
+  }
+  logger.info(`Deleted ${key} after its last allowed download`);
+}
+
+module.exports = {
+  parseMaxDownloads,
+  isDownloadExhausted,
+  claimDownload,
+  releaseDownload,
+  completeDownload
+};
@@ -0,0 +1,131 @@
+/**
+ * Persistent attributes of stored files (checksums and other upload-time facts).
+ * Kept in a single JSON document inside the metadata directory, keyed by the
+ * file's path relative to the upload directory, and cached in memory.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const ATTRIBUTES_FILE = path.join(config.uploadDir, '.metadata', 'files.json');
+
+let attributesCache = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Convert a file path into the attribute key
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @returns {string} Path relative to the upload directory with forward slashes
+ */
+function toAttributeKey(filePath) {
+  return path.relative(path.resolve(config.uploadDir), path.resolve(filePath)).replace(/\\/g, '/');
+}
+
+function loadAttributes() {
+  // Share one read between concurrent callers so no update lands on a discarded copy
+  if (!attributesCache) {
+    attributesCache = fs.readFile(ATTRIBUTES_FILE, 'utf8')
+      .then(data => JSON.parse(data))
+      .catch(err => {
+        if (err.code !== 'ENOENT') {
+          logger.error(`Failed to read file attributes, starting empty: ${err.message}`);
+        }
+        return {};
+      });
+  }
+  return attributesCache;
+}
+
+// Writes are queued so concurrent updates are persisted in order
+function persistAttributes() {
+  writeQueue = writeQueue.then(async () => {
+    const attributes = await loadAttributes();
+    const tempPath = `${ATTRIBUTES_FILE}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(ATTRIBUTES_FILE), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(attributes, null, 2));
+      await fs.rename(tempPath, ATTRIBUTES_FILE);
+    } catch (err) {
+      logger.error(`Failed to write file attributes: ${err.message}`);
+      try { await fs.unlink(tempPath); } catch (unlinkErr) {/* ignore */}
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Get the stored attributes of a file
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @returns {Promise<Object|null>} Attributes, or null if none are recorded
+ */
+async function getFileAttributes(filePath) {
+  const attributes = await loadAttributes();
+  return attributes[toAttributeKey(filePath)] || null;
+}
+
+/**
+ * Merge attributes into a file's record
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @param {Object} values - Attributes to set
+ * @returns {Promise<void>}
+ */
+async function setFileAttributes(filePath, values) {
+  const attributes = await loadAttributes();
+  const key = toAttributeKey(filePath);
+  attributes[key] = { ...attributes[key], ...values };
+  await persistAttributes();
+}
+
+/**
+ * Replace a file's record, e.g. when a new file is stored under its path
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @param {Object} values - The complete set of attributes
+ * @returns {Promise<void>}
+ */
+async function replaceFileAttributes(filePath, values) {
+  const attributes = await loadAttributes();
+  attributes[toAttributeKey(filePath)] = { ...values };
+  await persistAttributes();
+}
+
+/**
+ * Read and change a file's record in one step, so concurrent updates can't overwrite each other
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @param {(current: Object|null) => Object|null} update - Returns the new record, or null to leave it unchanged
+ * @returns {Promise<Object|null>} The record after the update
+ */
+async function updateFileAttributes(filePath, update) {
+  const attributes = await loadAttributes();
+  const key = toAttributeKey(filePath);
+  const values = update(attributes[key] || null);
+  if (values) {
+    attributes[key] = { ...values };
+    await persistAttributes();
+  }
+  return attributes[key] || null;
+}
+
+/**
+ * Forget the attributes of a deleted file
+ * @param {string} filePath - Path of the file, joined onto the upload directory
+ * @returns {Promise<void>}
+ */
+async function removeFileAttributes(filePath) {
+  const attributes = await loadAttributes();
+  const key = toAttributeKey(filePath);
+  if (!(key in attributes)) return;
+  delete attributes[key];
+  await persistAttributes();
+}
+
+module.exports = {
+  toAttributeKey,
+  getFileAttributes,
+  setFileAttributes,
+  replaceFileAttributes,
+  updateFileAttributes,
+  removeFileAttributes
+};
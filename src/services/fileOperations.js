@@ -0,0 +1,241 @@
+/**
+ * Rename, move and copy of stored files and folders within the upload directory.
+ * Names taken at the target are resolved with the conflict policies uploads use, nothing an upload
+ * in progress will be stored as is touched, and each file's attributes follow it.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { config, CONFLICT_POLICIES } = require('../config');
+const logger = require('../utils/logger');
+const {
+  resolveStoredPath,
+  isHiddenKey,
+  getParentFolder,
+  sanitizeFilename,
+  sanitizePathPreserveDirs
+} = require('../utils/fileUtils');
+const { getPlaintextSize } = require('../utils/encryption');
+const { getFileAttributes, replaceFileAttributes, removeFileAttributes } = require('./fileAttributes');
+const { releaseBlob } = require('./deduplication');
+const { getExpiry, isExpired } = require('./retention');
+const { isDownloadExhausted } = require('./downloadLimits');
+const { isStorageLimited, getReservedBytes, findStorageShortfall, invalidateStorageUsage } = require('./storageQuota');
+const { createUploadError, listUploadMetadata } = require('./uploadSessions');
+const { sendOperationNotification } = require('./notifications');
+const { getStorage, getStorageKey } = require('../storage');
+
+function toFilePath(key) {
+  return path.join(config.uploadDir, key);
+}
+
+// "name (1).ext" for files and "name (1)" for folders, as uploads are renamed
+function getNumberedKey(key, counter, isDirectory) {
+  const folder = getParentFolder(key);
+  const name = path.posix.basename(key);
+  const ext = isDirectory ? '' : path.extname(name);
+  const numbered = `${name.slice(0, name.length - ext.length)} (${counter})${ext}`;
+  return folder ? `${folder}/${numbered}` : numbered;
+}
+
+// Whether an upload in progress will be stored as `key` or below it
+function hasActiveUpload(activeKeys, key) {
+  return activeKeys.some(activeKey => activeKey === key || activeKey.startsWith(`${key}/`));
+}
+
+/**
+ * Work out where a file or folder goes. Like upload destinations, anything sanitizing would change is rejected,
+ * and with UPLOAD_DESTINATIONS set a new destination must be one of them or a folder below one.
+ * @param {string} sourceKey - Storage key of the file or folder
+ * @param {string} [name] - New name
+ * @param {string} [destination] - Folder to put it in, '' for the top level
+ * @returns {string} Storage key of the target
+ */
+function resolveTargetKey(sourceKey, name, destination) {
+  let folder = getParentFolder(sourceKey);
+  if (destination !== undefined) {
+    const requested = typeof destination === 'string' ? destination.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '') : null;
+    if (requested === null ||
+        (requested && (sanitizePathPreserveDirs(requested) !== requested || !resolveStoredPath(requested)))) {
+      throw createUploadError(400, 'Invalid destination', { destination });
+    }
+    // Files reach the same folders they could be uploaded to: the top level, or an allowed destination and below it
+    if (requested && config.uploadDestinations &&
+        !config.uploadDestinations.some(allowed => requested === allowed || requested.startsWith(`${allowed}/`))) {
+      throw createUploadError(400, 'Destination not allowed', { destination: requested, allowed: config.uploadDestinations });
+    }
+    folder = requested;
+  }
+  let targetName = path.posix.basename(sourceKey);
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || sanitizeFilename(name) !== name) {
+      throw createUploadError(400, 'Invalid name', { name });
+    }
+    targetName = name;
+  }
+  const targetKey = resolveStoredPath(folder ? `${folder}/${targetName}` : targetName);
+  if (!targetKey) throw createUploadError(400, 'Invalid name', { name: targetName });
+  return targetKey;
+}
+
+// Local folders may be empty or hold nothing but skipped files, so they are carried over and cleaned up explicitly
+async function recreateFolders(folderKeys, sourceKey, targetKey) {
+  for (const folderKey of [sourceKey, ...folderKeys]) {
+    await fs.mkdir(toFilePath(targetKey + folderKey.slice(sourceKey.length)), { recursive: true });
+  }
+}
+
+async function removeEmptyFolders(folderKeys, sourceKey) {
+  // Listed parents first, so reversed children come before their parents
+  for (const folderKey of [...folderKeys].reverse().concat(sourceKey)) {
+    await fs.rmdir(toFilePath(folderKey)).catch(() => {}); // Still holds skipped files or uploads in progress
+  }
+}
+
+/**
+ * Move or copy a stored file or folder, also to rename it in place
+ * @param {'move'|'copy'} operation - Whether the source is kept
+ * @param {string} sourceKey - Storage key of the file or folder
+ * @param {Object} target
+ * @param {string} [target.name] - New name (default: the current one)
+ * @param {string} [target.destination] - Folder to put it in, '' for the top level (default: its current folder)
+ * @param {string} [target.conflict] - Conflict policy for taken names (default: CONFLICT_POLICY). With rename,
+ *   the file or folder itself gets a free name; otherwise folders merge and each file is resolved on its own.
+ * @returns {Promise<{operation: string, from: string, to: string, files: Array<{from: string, to: string}>, skipped: string[]}>}
+ *   What was done (renamed, moved or copied), where to, and which files were moved or copied or left alone
+ * @throws {Error} With `status` and `details` if the operation is not possible; nothing has been changed then.
+ *   Other errors come from a failing transfer: files before it are done, and the file it would have replaced is kept.
+ */
+async function transferStoredPath(operation, sourceKey, { name, destination, conflict } = {}) {
+  const conflictPolicy = conflict || config.conflictPolicy;
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw createUploadError(400, 'Invalid conflict policy', { allowed: CONFLICT_POLICIES });
+  }
+  if (name === undefined && destination === undefined) {
+    throw createUploadError(400, 'Specify a new name, a destination or both');
+  }
+
+  const storage = getStorage();
+  const sourceStats = await storage.stat(sourceKey);
+  const isDirectory = Boolean(sourceStats?.isDirectory);
+  if (!sourceStats || (!isDirectory &&
+      isExpired(getExpiry(sourceKey, sourceStats.mtime, await getFileAttributes(toFilePath(sourceKey)))))) {
+    throw createUploadError(404, 'File not found', { path: sourceKey });
+  }
+
+  const targetKey = resolveTargetKey(sourceKey, name, destination);
+  if (targetKey === sourceKey) {
+    throw createUploadError(400, 'The target is the same as the source', { path: sourceKey });
+  }
+  if (isDirectory && targetKey.startsWith(`${sourceKey}/`)) {
+    throw createUploadError(400, 'A folder cannot be put inside itself', { path: sourceKey, target: targetKey });
+  }
+  if (!isDirectory && config.allowedExtensions) {
+    const fileExt = path.extname(targetKey).toLowerCase();
+    if (fileExt && !config.allowedExtensions.includes(fileExt)) {
+      throw createUploadError(400, 'File type not allowed', { receivedExtension: fileExt });
+    }
+  }
+  for (let folder = getParentFolder(targetKey); folder; folder = getParentFolder(folder)) {
+    const folderStats = await storage.stat(folder).catch(() => null);
+    if (folderStats && !folderStats.isDirectory) {
+      throw createUploadError(409, 'The destination is a file', { destination: folder });
+    }
+  }
+
+  const sessions = await listUploadMetadata();
+  const activeKeys = sessions.map(session => getStorageKey(session.filePath));
+  if (operation === 'move' && hasActiveUpload(activeKeys, sourceKey)) {
+    throw createUploadError(409, 'An upload to this path is in progress', { path: sourceKey });
+  }
+
+  // With rename the file or folder itself gets a free name, also avoiding names uploads in progress will take
+  let finalKey = targetKey;
+  if (conflictPolicy === 'rename') {
+    for (let counter = 1; await storage.stat(finalKey) || hasActiveUpload(activeKeys, finalKey); counter++) {
+      finalKey = getNumberedKey(targetKey, counter, isDirectory);
+    }
+  }
+
+  if (isDirectory && conflictPolicy !== 'rename') {
+    const existing = await storage.stat(finalKey);
+    if (existing && !existing.isDirectory) {
+      throw createUploadError(409, 'A file with this name already exists', { path: finalKey });
+    }
+  }
+
+  const entries = isDirectory ? await storage.list(sourceKey, { recursive: true }) : [{ key: sourceKey, ...sourceStats }];
+  const folderKeys = entries.filter(entry => entry.isDirectory && !isHiddenKey(entry.key)).map(entry => entry.key);
+  const plan = [];
+  const skipped = [];
+  for (const file of entries) {
+    if (file.isDirectory || isHiddenKey(file.key)) continue;
+    const to = finalKey + file.key.slice(sourceKey.length);
+    const attributes = await getFileAttributes(toFilePath(file.key));
+    if (operation === 'copy') {
+      if (isExpired(getExpiry(file.key, file.mtime, attributes)) || isDownloadExhausted(attributes)) {
+        skipped.push(file.key);
+        continue;
+      }
+      // A copy would come with downloads of its own
+      if (attributes?.downloadsRemaining !== undefined) {
+        if (!isDirectory) throw createUploadError(409, 'Download-limited files cannot be copied', { path: file.key });
+        skipped.push(file.key);
+        continue;
+      }
+    }
+    if (hasActiveUpload(activeKeys, to)) {
+      throw createUploadError(409, 'An upload to this name is in progress', { path: to });
+    }
+    const existing = await storage.stat(to);
+    if (existing?.isDirectory) {
+      throw createUploadError(409, 'A folder with this name already exists', { path: to });
+    }
+    if (existing && conflictPolicy === 'error') {
+      throw createUploadError(409, 'File already exists', { path: to });
+    }
+    if (existing && conflictPolicy === 'skip') {
+      skipped.push(file.key);
+      continue;
+    }
+    plan.push({ from: file.key, to, stats: file, attributes, replace: Boolean(existing) });
+  }
+  if (operation === 'copy' && isStorageLimited()) {
+    const requestedBytes = plan.reduce((sum, { stats }) => sum + stats.size, 0);
+    const shortfall = await findStorageShortfall(requestedBytes, getReservedBytes(sessions));
+    if (shortfall) throw createUploadError(507, shortfall.message, shortfall.details);
+  }
+
+  if (isDirectory && storage.name === 'local') await recreateFolders(folderKeys, sourceKey, finalKey);
+  for (const { from, to, stats, attributes, replace } of plan) {
+    // Moves and copies replace the target in place, so it is only released once its replacement is stored
+    const replacedAttributes = replace ? await getFileAttributes(toFilePath(to)) : null;
+    // Keeps the upload time, so retention counts from the original upload rather than the copy or move
+    const record = { ...attributes, storedAt: attributes?.storedAt || stats.mtime?.toISOString() };
+    if (operation === 'move') {
+      await storage.move(from, to);
+      await replaceFileAttributes(toFilePath(to), record);
+      await removeFileAttributes(toFilePath(from));
+    } else {
+      const size = attributes?.encrypted ? getPlaintextSize(stats.size) : stats.size;
+      await storage.copy(from, to, { sha256: attributes?.sha256, size, encrypted: attributes?.encrypted });
+      await replaceFileAttributes(toFilePath(to), record);
+    }
+    if (replacedAttributes) {
+      await releaseBlob(replacedAttributes.sha256, { encrypted: replacedAttributes.encrypted });
+    }
+  }
+  if (operation === 'move' && isDirectory && storage.name === 'local') await removeEmptyFolders(folderKeys, sourceKey);
+  invalidateStorageUsage();
+
+  const verb = operation === 'copy' ? 'copied' : getParentFolder(sourceKey) === getParentFolder(finalKey) ? 'renamed' : 'moved';
+  logger.info(`${isDirectory ? 'Folder' : 'File'} ${verb}: ${sourceKey} -> ${finalKey} (${plan.length} files${skipped.length > 0 ? `, ${skipped.length} skipped` : ''})`);
+  if (plan.length > 0 || isDirectory) {
+    sendOperationNotification(verb, sourceKey, finalKey, config);
+  }
+  return { operation: verb, from: sourceKey, to: finalKey, files: plan.map(({ from, to }) => ({ from, to })), skipped };
+}
+
+module.exports = {
+  transferStoredPath
+};
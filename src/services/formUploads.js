@@ -0,0 +1,184 @@
+/**
+ * multipart/form-data uploads for ShareX, HTML forms and iOS Shortcuts.
+ * A multer storage engine streams each file part to a temporary file while hashing it;
+ * once the form is read, every part becomes a regular upload session and is finalized.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { formatFileSize } = require('../utils/fileUtils');
+const { createEncryptStream } = require('../utils/encryption');
+const { isStorageLimited, getReservedBytes, findStorageShortfall, getAvailableBytes } = require('./storageQuota');
+const {
+  METADATA_DIR,
+  createUploadError,
+  createUploadSession,
+  adoptUploadFile,
+  cancelUploadSession,
+  listUploadMetadata
+} = require('./uploadSessions');
+
+// Multer reads part headers as latin1, but browsers send file names as raw UTF-8
+function decodeFilename(name) {
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  return decoded.includes('\uFFFD') ? name : decoded;
+}
+
+/**
+ * Multer storage engine that writes parts to `.tmp` files in the metadata directory,
+ * which keeps them on the upload filesystem and lets the stale-file cleanup collect leftovers.
+ * With ENCRYPTION_KEY set they are written encrypted, the hash still covers the plain content.
+ * Parts stop being written once the form outgrows the storage left for it, see limitFormStorage.
+ */
+const temporaryStorage = {
+  _handleFile(req, file, cb) {
+    const tempPath = path.join(METADATA_DIR, `form-${crypto.randomBytes(8).toString('hex')}.tmp`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    fs.promises.mkdir(METADATA_DIR, { recursive: true }).then(() => {
+      const output = fs.createWriteStream(tempPath);
+      let failed = false;
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe();
+        file.stream.resume(); // Drain the rest of the part without writing it
+        output.destroy();
+        fs.promises.unlink(tempPath).catch(() => {});
+        cb(err);
+      };
+      const storageLimit = req.formStorageLimit;
+      file.stream.on('data', (data) => {
+        size += data.length;
+        hash.update(data);
+        if (storageLimit) {
+          storageLimit.receivedBytes += data.length;
+          if (storageLimit.receivedBytes > storageLimit.availableBytes) {
+            fail(createUploadError(507, `Not enough storage left: the form needs more than the ${formatFileSize(storageLimit.availableBytes)} that can still be stored`, {
+              available: storageLimit.availableBytes
+            }));
+          }
+        }
+      });
+      file.stream.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => cb(null, { path: tempPath, size, hash }));
+      if (config.encryptionKey) {
+        const encrypt = createEncryptStream(config.encryptionKey);
+        encrypt.on('error', fail);
+        file.stream.pipe(encrypt).pipe(output);
+      } else {
+        file.stream.pipe(output);
+      }
+    }, cb);
+  },
+
+  _removeFile(req, file, cb) {
+    fs.promises.unlink(file.path).then(() => cb(null), (err) => cb(err.code === 'ENOENT' ? null : err));
+  }
+};
+
+const formUpload = multer({
+  storage: temporaryStorage,
+  limits: { fileSize: config.maxFileSize }
+});
+
+/**
+ * Check a form upload against the storage quota and free-space threshold before its body is read.
+ * The declared Content-Length must fit; the parts are then limited to the bytes left, as it may not be sent.
+ * @param {import('express').Request} req - Form upload request, before multer reads it
+ * @returns {Promise<{message: string, details: Object}|null>} Why the form doesn't fit, or null if it may be received
+ */
+async function limitFormStorage(req) {
+  if (!isStorageLimited()) return null;
+  const reservedBytes = getReservedBytes(await listUploadMetadata());
+  const declaredBytes = Number(req.headers['content-length']) || 0;
+  const shortfall = await findStorageShortfall(declaredBytes, reservedBytes);
+  if (shortfall) return shortfall;
+  req.formStorageLimit = { availableBytes: await getAvailableBytes(reservedBytes), receivedBytes: 0 };
+  return null;
+}
+
+/**
+ * Public download URL of a stored file
+ * @param {string} filename - Path relative to the upload directory
+ * @returns {string} Absolute URL
+ */
+function getDownloadUrl(filename) {
+  const baseUrl = config.baseUrl.endsWith('/') ? config.baseUrl : config.baseUrl + '/';
+  return new URL(`api/files/${encodeURIComponent(filename)}/download`, baseUrl).toString();
+}
+
+/**
+ * Turn a received form part into a stored file
+ * @param {Object} file - Multer file with the fields set by the storage engine
+ * @param {Object} options
+ * @param {string} [options.conflict] - Name-conflict policy
+ * @param {string} [options.destination] - Folder within the upload directory
+ * @param {string} [options.expiresIn] - Delete the stored file after this duration
+ * @param {string} [options.maxDownloads] - Delete the stored file after this many downloads
+ * @param {string} [options.batchId] - Batch the files belong to
+ * @param {Object} [options.uploader] - Client sending the form, see getUploader
+ * @returns {Promise<Object>} Result entry for the response
+ */
+async function storeFormFile(file, { conflict, destination, expiresIn, maxDownloads, batchId, uploader }) {
+  const originalName = decodeFilename(file.originalname);
+  let metadata;
+  try {
+    metadata = await createUploadSession({ filename: originalName, fileSize: file.size, conflict, destination, expiresIn, maxDownloads, batchId, uploader });
+    if (metadata.skipped) {
+      return { originalName, skipped: true, existing: metadata.existing };
+    }
+    if (metadata.fileSize > 0) {
+      await adoptUploadFile(metadata.uploadId, file.path, file.hash);
+    }
+  } catch (err) {
+    if (metadata?.uploadId && metadata.fileSize > 0) {
+      await cancelUploadSession(metadata.uploadId).catch(() => {});
+    }
+    throw Object.assign(err, { originalName });
+  } finally {
+    // Zero-byte, skipped and failed parts leave their temporary file behind
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+
+  const filename = path.relative(config.uploadDir, metadata.filePath).replace(/\\/g, '/');
+  logger.info(`Stored form upload ${originalName} as ${filename}`);
+  return { originalName, filename, size: metadata.fileSize, url: getDownloadUrl(filename) };
+}
+
+/**
+ * ShareX custom uploader definition for this server
+ * @returns {Object} Contents of a .sxcu file
+ */
+function getShareXConfig() {
+  const baseUrl = config.baseUrl.endsWith('/') ? config.baseUrl : config.baseUrl + '/';
+  const sharexConfig = {
+    Version: '15.0.0',
+    Name: config.siteTitle,
+    DestinationType: 'ImageUploader, TextUploader, FileUploader',
+    RequestMethod: 'POST',
+    RequestURL: new URL('api/upload/form', baseUrl).toString(),
+    Body: 'MultipartFormData',
+    FileFormName: 'file',
+    URL: '{json:url}',
+    ErrorMessage: '{json:error}'
+  };
+  if (config.pin) {
+    // The PIN is left for the user to fill in rather than written into a downloadable file
+    sharexConfig.Headers = { 'X-Pin': '' };
+  }
+  return sharexConfig;
+}
+
+module.exports = {
+  formUpload,
+  limitFormStorage,
+  storeFormFile,
+  getShareXConfig
+};
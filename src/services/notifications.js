@@ -5,9 +5,42 @@
  */
 
 const { spawn } = require('child_process');
-const { formatFileSize, calculateDirectorySize, sanitizeFilename } = require('../utils/fileUtils');
+const { formatFileSize, sanitizeFilename, sanitizePathPreserveDirs } = require('../utils/fileUtils');
+const { getStorage } = require('../storage');
 const logger = require('../utils/logger');
 
+/**
+ * Run the Apprise CLI with a message
+ * @param {string} appriseUrl - Apprise notification URL
+ * @param {string} message - Notification body
+ * @returns {Promise<void>}
+ */
+function runApprise(appriseUrl, message) {
+    return new Promise((resolve, reject) => {
+        const appriseProcess = spawn('apprise', [appriseUrl, '-b', message]);
+
+        appriseProcess.stdout.on('data', (data) => {
+            logger.info(`Apprise Output: ${data.toString().trim()}`);
+        });
+
+        appriseProcess.stderr.on('data', (data) => {
+            logger.error(`Apprise Error: ${data.toString().trim()}`);
+        });
+
+        appriseProcess.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Apprise process exited with code ${code}`));
+            }
+        });
+
+        appriseProcess.on('error', (err) => {
+            reject(new Error(`Apprise process failed to start: ${err.message}`));
+        });
+    });
+}
+
 /**
  * Send a notification using Apprise
  * @param {string} filename - Name of uploaded file
@@ -16,7 +49,7 @@ const logger = require('../utils/logger');
  * @returns {Promise<void>}
  */
 async function sendNotification(filename, fileSize, config) {
-    const { appriseUrl, appriseMessage, appriseSizeUnit, uploadDir } = config;
+    const { appriseUrl, appriseMessage, appriseSizeUnit } = config;
 
     console.debug("NOTIFICATIONS CONFIG:", filename, fileSize, config);
     if (!appriseUrl) {
@@ -25,7 +58,7 @@ async function sendNotification(filename, fileSize, config) {
 
     try {
         const formattedSize = formatFileSize(fileSize, appriseSizeUnit);
-        const dirSize = await calculateDirectorySize(uploadDir);
+        const dirSize = await getStorage().getUsedBytes();
         const totalStorage = formatFileSize(dirSize);
 
         // Sanitize the filename to remove any special characters that could cause issues
@@ -37,35 +70,102 @@ async function sendNotification(filename, fileSize, config) {
             .replace('{size}', formattedSize)
             .replace('{storage}', totalStorage);
 
-        await new Promise((resolve, reject) => {
-            const appriseProcess = spawn('apprise', [appriseUrl, '-b', message]);
-
-            appriseProcess.stdout.on('data', (data) => {
-                logger.info(`Apprise Output: ${data.toString().trim()}`);
-            });
-
-            appriseProcess.stderr.on('data', (data) => {
-                logger.error(`Apprise Error: ${data.toString().trim()}`);
-            });
-
-            appriseProcess.on('close', (code) => {
-                if (code === 0) {
-                    logger.info(`Notification sent for: ${sanitizedFilename} (${formattedSize}, Total storage: ${totalStorage})`);
-                    resolve();
-                } else {
-                    reject(new Error(`Apprise process exited with code ${code}`));
-                }
-            });
-
-            appriseProcess.on('error', (err) => {
-                reject(new Error(`Apprise process failed to start: ${err.message}`));
-            });
-        });
+        await runApprise(appriseUrl, message);
+        logger.info(`Notification sent for: ${sanitizedFilename} (${formattedSize}, Total storage: ${totalStorage})`);
     } catch (err) {
         logger.error(`Failed to send notification: ${err.message}`);
     }
 }
 
+/**
+ * Send one notification for a completed upload batch
+ * @param {Object} batch - Batch manifest with the stored files
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+async function sendBatchNotification(batch, config) {
+    const { appriseUrl, appriseBatchMessage, appriseSizeUnit } = config;
+
+    if (!appriseUrl) {
+        return;
+    }
+
+    try {
+        const batchSize = batch.files.reduce((sum, file) => sum + file.size, 0);
+        const formattedSize = formatFileSize(batchSize, appriseSizeUnit);
+        const dirSize = await getStorage().getUsedBytes();
+        const totalStorage = formatFileSize(dirSize);
+
+        const message = appriseBatchMessage
+            .replace('{count}', batch.files.length)
+            .replace('{size}', formattedSize)
+            .replace('{storage}', totalStorage);
+
+        await runApprise(appriseUrl, message);
+        logger.info(`Notification sent for batch ${batch.batchId} (${batch.files.length} files, ${formattedSize}, Total storage: ${totalStorage})`);
+    } catch (err) {
+        logger.error(`Failed to send batch notification: ${err.message}`);
+    }
+}
+
+/**
+ * Send a notification about an infected upload that was quarantined
+ * @param {string} filename - Name the file was uploaded as
+ * @param {string} signature - Name of the detected malware
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+async function sendQuarantineNotification(filename, signature, config) {
+    const { appriseUrl, appriseQuarantineMessage } = config;
+
+    if (!appriseUrl) {
+        return;
+    }
+
+    try {
+        const sanitizedFilename = sanitizeFilename(filename);
+        const message = appriseQuarantineMessage
+            .replace('{filename}', sanitizedFilename)
+            .replace('{virus}', signature);
+
+        await runApprise(appriseUrl, message);
+        logger.info(`Quarantine notification sent for: ${sanitizedFilename} (${signature})`);
+    } catch (err) {
+        logger.error(`Failed to send quarantine notification: ${err.message}`);
+    }
+}
+
+/**
+ * Send a notification about a file or folder that was renamed, moved or copied
+ * @param {string} operation - What was done: renamed, moved or copied
+ * @param {string} from - Path it had
+ * @param {string} to - Path it has now, or of the copy
+ * @param {Object} config - Configuration object
+ * @returns {Promise<void>}
+ */
+async function sendOperationNotification(operation, from, to, config) {
+    const { appriseUrl, appriseOperationMessage } = config;
+
+    if (!appriseUrl) {
+        return;
+    }
+
+    try {
+        const message = appriseOperationMessage
+            .replace('{operation}', operation)
+            .replace('{from}', sanitizePathPreserveDirs(from))
+            .replace('{to}', sanitizePathPreserveDirs(to));
+
+        await runApprise(appriseUrl, message);
+        logger.info(`Operation notification sent for: ${from} ${operation} to ${to}`);
+    } catch (err) {
+        logger.error(`Failed to send operation notification: ${err.message}`);
+    }
+}
+
 module.exports = {
     sendNotification,
+    sendBatchNotification,
+    sendQuarantineNotification,
+    sendOperationNotification,
 };
\ No newline at end of file
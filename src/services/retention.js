@@ -0,0 +1,115 @@
+/**
+ * Retention of stored files.
+ * A file expires at the earlier of the expiry its uploader chose and its age limit: the most
+ * specific RETENTION_RULES folder containing it, else RETENTION_MAX_AGE. A periodic sweep
+ * deletes expired files and the folders they leave empty.
+ */
+
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { cleanupEmptyFolders } = require('../utils/cleanup');
+const { getFileAttributes } = require('./fileAttributes');
+const { deleteStoredFile } = require('./storedFiles');
+const { getStorage } = require('../storage');
+
+const SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+let sweepTimer = null;
+let runningSweep = null;
+
+/**
+ * Max age that applies to a stored file
+ * @param {string} key - Storage key of the file
+ * @returns {number|null} Milliseconds after upload, or null if it is kept until its uploader's expiry
+ */
+function getRetentionMaxAge(key) {
+  const rule = config.retentionRules.find(({ folder }) => key.startsWith(`${folder}/`));
+  return rule ? rule.maxAge : config.retentionMaxAge;
+}
+
+/**
+ * When a stored file expires
+ * @param {string} key - Storage key of the file
+ * @param {Date|null} mtime - Modification time reported by storage, used if the upload time wasn't recorded
+ * @param {Object|null} attributes - The file's attributes
+ * @returns {Date|null} Expiry, or null if the file never expires
+ */
+function getExpiry(key, mtime, attributes) {
+  const expiries = [];
+  if (attributes?.expiresAt) expiries.push(Date.parse(attributes.expiresAt));
+  const maxAge = getRetentionMaxAge(key);
+  // Deduplicated files share the inode of older content, so prefer the recorded upload time
+  const storedAt = attributes?.storedAt ? Date.parse(attributes.storedAt) : mtime?.getTime();
+  if (maxAge !== null && storedAt) expiries.push(storedAt + maxAge);
+  return expiries.length > 0 ? new Date(Math.min(...expiries)) : null;
+}
+
+/**
+ * Whether a stored file has expired but may not have been swept yet
+ * @param {Date|null} expiresAt - From getExpiry
+ * @returns {boolean}
+ */
+function isExpired(expiresAt) {
+  return expiresAt !== null && expiresAt.getTime() <= Date.now();
+}
+
+async function runSweep() {
+  const storage = getStorage();
+  let deleted = 0;
+  for (const { key, mtime, isDirectory } of await storage.list('', { recursive: true })) {
+    if (isDirectory || key.endsWith('.partial')) continue;
+    const expiresAt = getExpiry(key, mtime, await getFileAttributes(path.join(config.uploadDir, key)));
+    if (!isExpired(expiresAt)) continue;
+    try {
+      await deleteStoredFile(key);
+      deleted++;
+      logger.info(`Deleted expired file ${key} (expired ${expiresAt.toISOString()})`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error(`Failed to delete expired file ${key}: ${err.message}`);
+    }
+  }
+  if (deleted > 0) {
+    logger.info(`Retention sweep deleted ${deleted} expired files`);
+    if (storage.name === 'local') await cleanupEmptyFolders(config.uploadDir);
+  }
+  return deleted;
+}
+
+/**
+ * Delete every expired file, then the folders left empty. Concurrent calls share one sweep.
+ * @returns {Promise<number>} Number of files deleted
+ */
+function sweepExpiredFiles() {
+  if (!runningSweep) {
+    runningSweep = runSweep().finally(() => { runningSweep = null; });
+  }
+  return runningSweep;
+}
+
+/**
+ * Sweep now and then periodically
+ */
+function startRetentionSweeper() {
+  stopRetentionSweeper();
+  const sweep = () => sweepExpiredFiles().catch(err => logger.error(`Retention sweep failed: ${err.message}`));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL);
+  sweepTimer.unref(); // Allow process to exit if this is the only timer
+}
+
+function stopRetentionSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  getRetentionMaxAge,
+  getExpiry,
+  isExpired,
+  sweepExpiredFiles,
+  startRetentionSweeper,
+  stopRetentionSweeper
+};
@@ -0,0 +1,140 @@
+/**
+ * Storage quota and free-space checks for new uploads.
+ * Usage of the storage backend is measured with its getUsedBytes and kept as a
+ * cached tally between periodic recounts; in-flight uploads reserve their remaining bytes.
+ */
+
+const fs = require('fs').promises;
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { formatFileSize } = require('../utils/fileUtils');
+const { getStorage } = require('../storage');
+
+const USAGE_RECOUNT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+let usageTally = null; // { bytes, countedAt }
+let usageRecount = null;
+let statfsUnsupported = false;
+
+function isStorageLimited() {
+  return Boolean(config.storageQuota || config.minFreeSpace);
+}
+
+/**
+ * Bytes held by stored files, recounted when the tally is stale
+ * @returns {Promise<number>} Used bytes
+ */
+async function getUsedBytes() {
+  if (usageTally && Date.now() - usageTally.countedAt < USAGE_RECOUNT_INTERVAL) {
+    return usageTally.bytes;
+  }
+  // Share one recount between concurrent callers
+  if (!usageRecount) {
+    usageRecount = getStorage().getUsedBytes()
+      .then(bytes => {
+        usageTally = { bytes, countedAt: Date.now() };
+        return bytes;
+      })
+      .finally(() => { usageRecount = null; });
+  }
+  return usageRecount;
+}
+
+/**
+ * Adjust the cached usage after a file was stored, without walking the directory again
+ * @param {number} bytes - Bytes added to the upload directory
+ */
+function recordStoredBytes(bytes) {
+  if (usageTally) usageTally.bytes += bytes;
+}
+
+/**
+ * Force a recount on the next check, e.g. after files were deleted
+ */
+function invalidateStorageUsage() {
+  usageTally = null;
+}
+
+async function getFreeBytes() {
+  if (statfsUnsupported) return null;
+  try {
+    const stats = await fs.statfs(config.uploadDir);
+    return stats.bavail * stats.bsize;
+  } catch (err) {
+    statfsUnsupported = true;
+    logger.warn(`Cannot read free disk space for ${config.uploadDir}, MIN_FREE_SPACE is not enforced: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Bytes still expected by in-flight uploads, reserved so concurrent uploads can't claim the same space
+ * @param {Object[]} sessions - Metadata of the open upload sessions, from listUploadMetadata
+ * @returns {number} Reserved bytes
+ */
+function getReservedBytes(sessions) {
+  return sessions.reduce((sum, session) => sum + Math.max(0, session.fileSize - session.bytesReceived), 0);
+}
+
+/**
+ * Check whether an upload fits within the storage quota and free-space threshold
+ * @param {number} requestedBytes - Size of the new upload
+ * @param {number} reservedBytes - Bytes still expected by in-flight uploads
+ * @returns {Promise<{message: string, details: Object}|null>} Why the upload doesn't fit, or null if it does
+ */
+async function findStorageShortfall(requestedBytes, reservedBytes) {
+  if (config.storageQuota) {
+    const usedBytes = await getUsedBytes();
+    const availableBytes = Math.max(0, config.storageQuota - usedBytes - reservedBytes);
+    if (requestedBytes > availableBytes) {
+      return {
+        message: `Storage quota exceeded: the file needs ${formatFileSize(requestedBytes)} but only ${formatFileSize(availableBytes)} of the ${formatFileSize(config.storageQuota)} quota is left`,
+        details: { quota: config.storageQuota, used: usedBytes, reserved: reservedBytes, available: availableBytes }
+      };
+    }
+  }
+
+  if (config.minFreeSpace) {
+    const freeBytes = await getFreeBytes();
+    if (freeBytes !== null) {
+      const availableBytes = Math.max(0, freeBytes - reservedBytes - config.minFreeSpace);
+      if (requestedBytes > availableBytes) {
+        return {
+          message: `Not enough free disk space: the file needs ${formatFileSize(requestedBytes)} but only ${formatFileSize(availableBytes)} can be used while keeping ${formatFileSize(config.minFreeSpace)} free`,
+          details: { free: freeBytes, reserved: reservedBytes, minFree: config.minFreeSpace, available: availableBytes }
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bytes a new upload may still take within the storage quota and free-space threshold,
+ * e.g. to stop receiving a body whose size isn't known up front
+ * @param {number} reservedBytes - Bytes still expected by in-flight uploads
+ * @returns {Promise<number>} Available bytes, Infinity if storage isn't limited
+ */
+async function getAvailableBytes(reservedBytes) {
+  let availableBytes = Infinity;
+  if (config.storageQuota) {
+    availableBytes = Math.max(0, config.storageQuota - await getUsedBytes() - reservedBytes);
+  }
+  if (config.minFreeSpace) {
+    const freeBytes = await getFreeBytes();
+    if (freeBytes !== null) {
+      availableBytes = Math.min(availableBytes, Math.max(0, freeBytes - reservedBytes - config.minFreeSpace));
+    }
+  }
+  return availableBytes;
+}
+
+module.exports = {
+  isStorageLimited,
+  getReservedBytes,
+  findStorageShortfall,
+  getAvailableBytes,
+  recordStoredBytes,
+  invalidateStorageUsage
+};
@@ -0,0 +1,35 @@
+/**
+ * Operations on finished uploads that span the storage backend and the records kept about them.
+ */
+
+const path = require('path');
+const { config } = require('../config');
+const { getFileAttributes, replaceFileAttributes, removeFileAttributes } = require('./fileAttributes');
+const { releaseBlob } = require('./deduplication');
+const { invalidateStorageUsage } = require('./storageQuota');
+const { getStorage } = require('../storage');
+
+/**
+ * Delete a stored file along with its attributes and, if deduplicated, its share of the content
+ * @param {string} key - Storage key of the file
+ * @param {Object} [options]
+ * @param {Object} [options.leaveRecord] - Attributes kept in place of the file's, e.g. to report why it is gone
+ * @returns {Promise<void>}
+ * @throws {Error} With code ENOENT if nothing is stored as `key`
+ */
+async function deleteStoredFile(key, { leaveRecord = null } = {}) {
+  const filePath = path.join(config.uploadDir, key);
+  const attributes = await getFileAttributes(filePath);
+  await getStorage().delete(key);
+  if (leaveRecord) {
+    await replaceFileAttributes(filePath, leaveRecord);
+  } else {
+    await removeFileAttributes(filePath);
+  }
+  await releaseBlob(attributes?.sha256, { encrypted: attributes?.encrypted });
+  invalidateStorageUsage();
+}
+
+module.exports = {
+  deleteStoredFile
+};
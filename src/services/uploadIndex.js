@@ -0,0 +1,163 @@
+/**
+ * Durable index of completed uploads.
+ * Upload sessions are deleted once a file is stored, so the facts worth keeping (who sent it,
+ * from where, in which batch, when) are appended here as one JSON line per upload.
+ * The log is only ever appended to, and read back for the upload history endpoint.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const INDEX_FILE = path.join(config.uploadDir, '.metadata', 'uploads.jsonl');
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Describe the client sending an upload, for the index
+ * @param {import('express').Request} req - Request that started the upload
+ * @returns {{ip: string, userAgent: string|null}}
+ */
+function getUploader(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') || null };
+}
+
+/**
+ * Append a completed upload to the index. Failures are logged, never thrown: the file is already stored.
+ * @param {Object} metadata - Upload metadata with the final filePath
+ * @param {Object} details
+ * @param {number} details.size - Size of the stored file in bytes
+ * @param {string} details.sha256 - Hex SHA-256 of its content
+ * @param {string|null} [details.mimeType] - MIME type detected from its content
+ * @param {boolean} [details.deduplicated] - Whether existing content was reused
+ * @returns {Promise<void>}
+ */
+function recordCompletedUpload(metadata, { size, sha256, mimeType = null, deduplicated = false }) {
+  const entry = {
+    uploadId: metadata.uploadId,
+    filename: path.relative(config.uploadDir, metadata.filePath).replace(/\\/g, '/'),
+    originalFilename: metadata.originalFilename,
+    size,
+    sha256,
+    mimeType,
+    batchId: metadata.batchId || null,
+    uploader: metadata.uploader || null,
+    startedAt: new Date(metadata.createdAt || Date.now()).toISOString(),
+    completedAt: new Date().toISOString(),
+    deduplicated,
+    encrypted: Boolean(metadata.encrypted)
+  };
+  // Lines are appended one at a time so concurrent uploads never interleave
+  writeQueue = writeQueue.then(async () => {
+    try {
+      await fs.promises.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+      await fs.promises.appendFile(INDEX_FILE, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      logger.error(`Failed to record ${entry.filename} in the upload index: ${err.message}`);
+    }
+  });
+  return writeQueue;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) throw new Error(`Invalid ${name}, expected an ISO date or milliseconds since epoch`);
+  return time;
+}
+
+function parseCount(value, name, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(value)) throw new Error(`Invalid ${name}, expected a non-negative integer`);
+  return Math.min(Number(value), max);
+}
+
+/**
+ * Validate history query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} Filters for queryUploadHistory
+ * @throws {Error} If a parameter is malformed
+ */
+function parseHistoryQuery(query) {
+  return {
+    filename: query.filename ? String(query.filename).toLowerCase() : null,
+    batchId: query.batchId || null,
+    ip: query.ip || null,
+    since: parseTime(query.since, 'since'),
+    until: parseTime(query.until, 'until'),
+    limit: parseCount(query.limit, 'limit', DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT),
+    offset: parseCount(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+function matchesFilters(entry, { filename, batchId, ip, since, until }) {
+  if (filename && !entry.filename.toLowerCase().includes(filename) &&
+    !String(entry.originalFilename).toLowerCase().includes(filename)) return false;
+  if (batchId && entry.batchId !== batchId) return false;
+  if (ip && entry.uploader?.ip !== ip) return false;
+  const completedAt = Date.parse(entry.completedAt);
+  if (since !== null && completedAt < since) return false;
+  if (until !== null && completedAt > until) return false;
+  return true;
+}
+
+/**
+ * Completed uploads matching the filters, newest first
+ * @param {Object} filters - From parseHistoryQuery
+ * @param {string|null} filters.filename - Case-insensitive part of the stored or original name
+ * @param {string|null} filters.batchId - Batch the upload belonged to
+ * @param {string|null} filters.ip - Uploader IP address
+ * @param {number|null} filters.since - Completed at or after (ms since epoch)
+ * @param {number|null} filters.until - Completed at or before (ms since epoch)
+ * @param {number} filters.limit - Entries to return
+ * @param {number} filters.offset - Matching entries to skip
+ * @returns {Promise<{uploads: Object[], total: number}>} Page of entries and the number of matches
+ */
+async function queryUploadHistory(filters) {
+  await writeQueue; // Include uploads that have just finished
+  const matches = [];
+  try {
+    const lines = readline.createInterface({ input: fs.createReadStream(INDEX_FILE), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (parseErr) {
+        continue; // A line cut short by a crash
+      }
+      if (matchesFilters(entry, filters)) matches.push(entry);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  matches.reverse();
+  return {
+    uploads: matches.slice(filters.offset, filters.offset + filters.limit),
+    total: matches.length
+  };
+}
+
+/**
+ * Stored names of a batch's completed uploads, in upload order
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<string[]>} Each name once, even if it was uploaded more than once in the batch
+ */
+async function listBatchUploads(batchId) {
+  const { uploads } = await queryUploadHistory({
+    filename: null, batchId, ip: null, since: null, until: null, limit: Infinity, offset: 0
+  });
+  return [...new Set(uploads.reverse().map(upload => upload.filename))];
+}
+
+module.exports = {
+  getUploader,
+  recordCompletedUpload,
+  parseHistoryQuery,
+  queryUploadHistory,
+  listBatchUploads
+};
@@ -0,0 +1,1229 @@
+/**
+ * Upload session service shared by the upload routes.
+ * Creates sessions, writes received bytes at their offsets and finalizes completed files.
+ * Sessions are persisted as metadata files so uploads survive restarts and can resume.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises; // Use promise-based fs
+const fsSync = require('fs'); // For sync checks like existsSync
+const { config, CONFLICT_POLICIES } = require('../config');
+const logger = require('../utils/logger');
+const { sanitizePathPreserveDirs, isValidBatchId } = require('../utils/fileUtils');
+const { parseDuration } = require('../utils/duration');
+const { SIGNATURE_LENGTH, detectFileType, detectFileTypeOfFile, checkFileType } = require('../utils/fileSignatures');
+const {
+  SEGMENT_SIZE, HEADER_LENGTH, createHeader, openHeader, encryptSegment, encryptFragment, decryptFragment,
+  encryptBuffer, getSegmentCount, getSegmentPosition, getEncryptedSize, decryptFile
+} = require('../utils/encryption');
+const { sendNotification, sendQuarantineNotification } = require('./notifications');
+const { recordBatchFile, recordBatchSkip, recordBatchFailure } = require('./batches');
+const { getFileAttributes, replaceFileAttributes } = require('./fileAttributes');
+const { findStoredContent, linkExistingContent, releaseBlob } = require('./deduplication');
+const { isVirusScanEnabled, scanFile, quarantineFile } = require('./virusScan');
+const { recordCompletedUpload } = require('./uploadIndex');
+const { parseMaxDownloads } = require('./downloadLimits');
+const { isStorageLimited, getReservedBytes, findStorageShortfall, recordStoredBytes, invalidateStorageUsage } = require('./storageQuota');
+const { getStorage, getStorageKey } = require('../storage');
+
+// --- Persistence Setup ---
+const METADATA_DIR = path.join(config.uploadDir, '.metadata');
+
+// --- In-Memory Maps (Still useful for session-level data) ---
+// Store folder name mappings for batch uploads (avoids FS lookups during session)
+const folderMappings = new Map();
+// Store batch activity timestamps (for cleaning up stale batches/folder mappings)
+const batchActivity = new Map();
+
+const BATCH_TIMEOUT = 30 * 60 * 1000; // 30 minutes for batch/folderMapping cleanup
+const ACTIVITY_REFRESH_INTERVAL = 60 * 1000; // How often a long transfer records activity, so cleanup doesn't reap it
+
+// --- Helper Functions for Metadata ---
+
+async function readUploadMetadata(uploadId) {
+  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
+    logger.warn(`Attempted to read metadata with invalid uploadId: ${uploadId}`);
+    return null;
+  }
+  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
+  try {
+    const data = await fs.readFile(metaFilePath, 'utf8');
+    return JSON.parse(data);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null; // Metadata file doesn't exist - normal case for new/finished uploads
+    }
+    logger.error(`Error reading metadata for ${uploadId}: ${err.message}`);
+    throw err; // Rethrow other errors
+  }
+}
+
+async function writeUploadMetadata(uploadId, metadata) {
+  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
+    logger.error(`Attempted to write metadata with invalid uploadId: ${uploadId}`);
+    return; // Prevent writing
+  }
+  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
+  metadata.lastActivity = Date.now(); // Update timestamp on every write
+  // Write atomically if possible (write to temp then rename) for more safety
+  const tempMetaPath = `${metaFilePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tempMetaPath, JSON.stringify(metadata, null, 2));
+    await fs.rename(tempMetaPath, metaFilePath);
+  } catch (err) {
+    logger.error(`Error writing metadata for ${uploadId}: ${err.message}`);
+    // Attempt to clean up temp file if rename failed
+    try { await fs.unlink(tempMetaPath); } catch (unlinkErr) {/* ignore */}
+    throw err;
+  }
+}
+
+async function deleteUploadMetadata(uploadId) {
+  if (!uploadId || typeof uploadId !== 'string' || uploadId.includes('..')) {
+    logger.warn(`Attempted to delete metadata with invalid uploadId: ${uploadId}`);
+    return;
+  }
+  const metaFilePath = path.join(METADATA_DIR, `${uploadId}.meta`);
+  try {
+    await fs.unlink(metaFilePath);
+    logger.debug(`Deleted metadata file for upload: ${uploadId}.meta`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') { // Ignore if already deleted
+      logger.error(`Error deleting metadata file ${uploadId}.meta: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Sanitize a client-supplied upload path while preserving its folder structure.
+ * @param {string} filename - Path as sent by the client
+ * @returns {string} Relative path with forward slashes and no leading traversal
+ */
+function toSafeUploadPath(filename) {
+  const sanitizedFilename = sanitizePathPreserveDirs(filename);
+  return path.normalize(sanitizedFilename)
+    .replace(/^(\.\.(\/|\\|$))+/, '')
+    .replace(/\\/g, '/')
+    .replace(/^\/+/, '');
+}
+
+/**
+ * Validate a client-chosen destination folder against the upload root and UPLOAD_DESTINATIONS
+ * @param {string} [destination] - Folder relative to the upload directory
+ * @returns {string} Relative folder path with forward slashes, '' for the upload directory itself
+ */
+function resolveDestination(destination) {
+  if (destination === undefined || destination === null) return '';
+  const requested = String(destination).trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  if (!requested) return '';
+
+  // Reject rather than silently remap anything sanitizing would change, e.g. `..` segments
+  const safeDestination = toSafeUploadPath(requested);
+  const resolvedPath = path.resolve(config.uploadDir, safeDestination);
+  if (safeDestination !== requested || isReservedPath(safeDestination) ||
+      !resolvedPath.startsWith(path.resolve(config.uploadDir) + path.sep)) {
+    throw createUploadError(400, 'Invalid destination', { destination: requested });
+  }
+  if (config.uploadDestinations && !config.uploadDestinations.includes(safeDestination)) {
+    throw createUploadError(400, 'Destination not allowed', { destination: safeDestination, allowed: config.uploadDestinations });
+  }
+  return safeDestination;
+}
+
+// The metadata directory lives inside the upload directory but must never be written by uploads
+function isReservedPath(relativePath) {
+  return relativePath.split('/')[0] === '.metadata';
+}
+
+async function listUploadMetadata() {
+  let files;
+  try {
+    files = await fs.readdir(METADATA_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const sessions = await Promise.all(
+    files
+      .filter(file => file.endsWith('.meta'))
+      .map(file => readUploadMetadata(file.slice(0, -'.meta'.length)).catch(() => null))
+  );
+  return sessions.filter(Boolean);
+}
+
+// --- Helper Functions for Byte Ranges ---
+// Received data is tracked as sorted, non-overlapping [start, end) pairs so that
+// retried or out-of-order chunks can be detected and written at their own offset.
+
+function getReceivedRanges(metadata) {
+  if (Array.isArray(metadata.receivedRanges)) return metadata.receivedRanges;
+  // Sessions created before ranges were tracked only ever appended
+  return metadata.bytesReceived > 0 ? [[0, metadata.bytesReceived]] : [];
+}
+
+function addReceivedRange(ranges, start, end) {
+  const merged = [];
+  let [newStart, newEnd] = [start, end];
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd < newStart || rangeStart > newEnd) {
+      merged.push([rangeStart, rangeEnd]);
+    } else {
+      newStart = Math.min(newStart, rangeStart);
+      newEnd = Math.max(newEnd, rangeEnd);
+    }
+  }
+  merged.push([newStart, newEnd]);
+  return merged.sort((a, b) => a[0] - b[0]);
+}
+
+function getMissingRanges(ranges, start, end) {
+  const missing = [];
+  let cursor = start;
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd <= cursor) continue;
+    if (rangeStart >= end) break;
+    if (rangeStart > cursor) missing.push([cursor, rangeStart]);
+    cursor = Math.max(cursor, rangeEnd);
+  }
+  if (cursor < end) missing.push([cursor, end]);
+  return missing;
+}
+
+function countReceivedBytes(ranges) {
+  return ranges.reduce((acc, [start, end]) => acc + (end - start), 0);
+}
+
+function getContiguousOffset(ranges) {
+  return ranges.length > 0 && ranges[0][0] === 0 ? ranges[0][1] : 0;
+}
+
+// Serialize metadata read-modify-write cycles per upload so concurrent chunks don't lose updates
+const uploadLocks = new Map();
+async function withUploadLock(uploadId, task) {
+  const previous = uploadLocks.get(uploadId) || Promise.resolve();
+  const current = previous.then(task, task);
+  const tail = current.catch(() => {});
+  uploadLocks.set(uploadId, tail);
+  try {
+    return await current;
+  } finally {
+    if (uploadLocks.get(uploadId) === tail) uploadLocks.delete(uploadId);
+  }
+}
+
+// --- Batch Cleanup (Focuses on batchActivity map, not primary upload state) ---
+let batchCleanupInterval;
+function startBatchCleanup() {
+  if (batchCleanupInterval) clearInterval(batchCleanupInterval);
+  batchCleanupInterval = setInterval(() => {
+    const now = Date.now();
+    logger.info(`Running batch cleanup, checking ${batchActivity.size} active batch sessions`);
+    let cleanedCount = 0;
+    for (const [batchId, lastActivity] of batchActivity.entries()) {
+      if (now - lastActivity >= BATCH_TIMEOUT) {
+        logger.info(`Cleaning up inactive batch session: ${batchId}`);
+        batchActivity.delete(batchId);
+        // Clean up associated folder mappings for this batch
+        for (const key of folderMappings.keys()) {
+          if (key.endsWith(`-${batchId}`)) {
+            folderMappings.delete(key);
+          }
+        }
+        cleanedCount++;
+      }
+    }
+    if (cleanedCount > 0) logger.info(`Cleaned up ${cleanedCount} inactive batch sessions.`);
+  }, 5 * 60 * 1000); // Check every 5 minutes
+  batchCleanupInterval.unref(); // Allow process to exit if this is the only timer
+  return batchCleanupInterval;
+}
+function stopBatchCleanup() {
+  if (batchCleanupInterval) {
+    clearInterval(batchCleanupInterval);
+    batchCleanupInterval = null;
+  }
+}
+if (!process.env.DISABLE_BATCH_CLEANUP) {
+  startBatchCleanup();
+}
+
+// --- Running Checksums ---
+// Node hash state cannot be serialized, so the running SHA-256 of each upload lives in memory
+// and `hashedBytes` in its metadata records how far it got. After a restart, or when chunks
+// arrive out of order, finalization catches up by reading the remainder from the partial file.
+const runningHashes = new Map();
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Feed newly written ranges into the upload's running hash (only once they are on disk)
+ * @param {Object} metadata - Upload metadata, `hashedBytes` is updated
+ * @param {Buffer} chunk - Received bytes
+ * @param {number} chunkOffset - File offset of the first byte of `chunk`
+ * @param {Array<[number, number]>} writtenRanges - Ranges of `chunk` that were written to disk
+ */
+function advanceRunningHash(metadata, chunk, chunkOffset, writtenRanges) {
+  let state = runningHashes.get(metadata.uploadId);
+  if (!state) {
+    state = { hash: crypto.createHash('sha256'), offset: 0 };
+    runningHashes.set(metadata.uploadId, state);
+  }
+  for (const [start, end] of writtenRanges) {
+    if (start <= state.offset && state.offset < end) {
+      state.hash.update(chunk.subarray(state.offset - chunkOffset, end - chunkOffset));
+      state.offset = end;
+    }
+  }
+  metadata.hashedBytes = state.offset;
+}
+
+/**
+ * Finish the running hash of a completed upload, reading any bytes it has not seen from disk
+ * @param {Object} metadata - Metadata of a fully received upload
+ * @returns {Promise<string>} Hex SHA-256 of the partial file
+ */
+async function completeRunningHash(metadata) {
+  const state = runningHashes.get(metadata.uploadId) || { hash: crypto.createHash('sha256'), offset: 0 };
+  runningHashes.delete(metadata.uploadId);
+  if (state.offset < metadata.fileSize) {
+    logger.debug(`Hashing ${metadata.fileSize - state.offset} remaining bytes of ${metadata.uploadId} from disk`);
+    const stream = await openReceivedContent(metadata.partialFilePath, {
+      encrypted: metadata.encrypted,
+      size: metadata.fileSize,
+      start: state.offset
+    });
+    for await (const data of stream) {
+      state.hash.update(data);
+    }
+  }
+  return state.hash.digest('hex');
+}
+
+// --- Encryption at Rest ---
+// With ENCRYPTION_KEY set, partial files are written in the encrypted format from the start, so plaintext
+// never reaches the disk. Whole segments are sealed in place as they arrive; bytes that don't fill a
+// segment yet (unaligned chunks) are kept as sealed fragments in the session metadata until it is complete.
+
+/**
+ * The secret encrypted uploads are sealed with
+ * @returns {string} ENCRYPTION_KEY
+ * @throws {Error} 500 upload error if an encrypted upload is handled without ENCRYPTION_KEY
+ */
+function getEncryptionSecret() {
+  if (!config.encryptionKey) {
+    throw createUploadError(500, 'Upload was started with encryption, but ENCRYPTION_KEY is not set');
+  }
+  return config.encryptionKey;
+}
+
+/**
+ * Read received content as plaintext
+ * @param {string} contentPath - Partial file or stored content
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the file is encrypted
+ * @param {number} [options.size] - Plaintext size of the complete file, which an unfinished partial file doesn't have on disk yet
+ * @param {number} [options.start] - First byte
+ * @param {number} [options.end] - Last byte (inclusive)
+ * @returns {Promise<import('stream').Readable>} Plaintext stream
+ */
+async function openReceivedContent(contentPath, { encrypted = false, size, start, end } = {}) {
+  if (!encrypted) return fsSync.createReadStream(contentPath, { start, end });
+  const encryptedSize = size === undefined ? undefined : getEncryptedSize(size);
+  return decryptFile(contentPath, getEncryptionSecret(), { encryptedSize, start, end });
+}
+
+async function readEncryptionHeader(fileHandle) {
+  const buffer = Buffer.alloc(HEADER_LENGTH);
+  await fileHandle.read(buffer, 0, HEADER_LENGTH, 0);
+  return openHeader(buffer, getEncryptionSecret());
+}
+
+async function writeEncryptedSegment(fileHandle, file, fileSize, index, plaintext) {
+  const sealed = encryptSegment(file, index, index === getSegmentCount(fileSize) - 1, plaintext);
+  const { bytesWritten } = await fileHandle.write(sealed, 0, sealed.length, getSegmentPosition(index));
+  if (bytesWritten !== sealed.length) {
+    throw new Error(`Failed to write segment ${index} (${bytesWritten}/${sealed.length} bytes). Disk full?`);
+  }
+}
+
+function getSegmentBounds(offset, fileSize) {
+  const start = Math.floor(offset / SEGMENT_SIZE) * SEGMENT_SIZE;
+  return [start, Math.min(start + SEGMENT_SIZE, fileSize)];
+}
+
+/**
+ * Split the bytes of one request at segment boundaries. Whole segments are returned as soon as they are
+ * complete; the unaligned bytes before the first and after the last boundary are collected as pieces.
+ * @param {number} offset - File offset of the first byte
+ * @param {number} fileSize - Size of the upload
+ * @returns {{push: (data: Buffer) => Array<{index: number, start: number, data: Buffer}>, finish: () => Array<{start: number, data: Buffer}>}}
+ */
+function createSegmentSplitter(offset, fileSize) {
+  const pieces = [];
+  let bufferStart = offset;
+  let buffer = Buffer.alloc(0);
+  return {
+    push(data) {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, data]) : data;
+      const segments = [];
+      while (bufferStart < fileSize) {
+        const [segmentStart, segmentEnd] = getSegmentBounds(bufferStart, fileSize);
+        if (bufferStart + buffer.length < segmentEnd) break;
+        const bytes = buffer.subarray(0, segmentEnd - bufferStart);
+        if (bufferStart === segmentStart) {
+          segments.push({ index: segmentStart / SEGMENT_SIZE, start: segmentStart, data: bytes });
+        } else {
+          pieces.push({ start: bufferStart, data: bytes });
+        }
+        buffer = buffer.subarray(bytes.length);
+        bufferStart = segmentEnd;
+      }
+      return segments;
+    },
+    finish() {
+      if (buffer.length > 0) pieces.push({ start: bufferStart, data: buffer });
+      return pieces;
+    }
+  };
+}
+
+/**
+ * Record the unaligned pieces of a request to an encrypted upload. A piece that completes its segment is
+ * sealed into the partial file together with the fragments received before it, otherwise it is kept as a
+ * fragment. Must be called while holding the upload lock.
+ * @param {Object} metadata - Current upload metadata, `encryptedFragments` is updated
+ * @param {Array<[number, number]>} ranges - Received ranges, not including the pieces
+ * @param {Array<{start: number, data: Buffer}>} pieces - Pieces from the segment splitter
+ * @returns {Promise<Array<[number, number]>>} Received ranges including the pieces
+ */
+async function storeEncryptedPieces(metadata, ranges, pieces) {
+  const fragments = metadata.encryptedFragments || [];
+  let fileHandle = null;
+  let file = null;
+  try {
+    for (const piece of pieces) {
+      const missingRanges = getMissingRanges(ranges, piece.start, piece.start + piece.data.length);
+      if (missingRanges.length === 0) continue;
+      if (!fileHandle) {
+        fileHandle = await openPartialFile(metadata, fsSync.constants.O_RDWR);
+        file = await readEncryptionHeader(fileHandle);
+      }
+      for (const [start, end] of missingRanges) {
+        ranges = addReceivedRange(ranges, start, end);
+      }
+      const [segmentStart, segmentEnd] = getSegmentBounds(piece.start, metadata.fileSize);
+      if (getMissingRanges(ranges, segmentStart, segmentEnd).length > 0) {
+        for (const [start, end] of missingRanges) {
+          const sealed = encryptFragment(file, start, piece.data.subarray(start - piece.start, end - piece.start));
+          fragments.push({ offset: start, data: sealed.toString('base64') });
+        }
+        continue;
+      }
+      // The piece completes its segment, which is assembled from the fragments received before
+      const plaintext = Buffer.alloc(segmentEnd - segmentStart);
+      for (const fragment of fragments) {
+        if (fragment.offset < segmentStart || fragment.offset >= segmentEnd) continue;
+        decryptFragment(file, fragment.offset, Buffer.from(fragment.data, 'base64')).copy(plaintext, fragment.offset - segmentStart);
+      }
+      for (const [start, end] of missingRanges) {
+        piece.data.copy(plaintext, start - segmentStart, start - piece.start, end - piece.start);
+      }
+      await writeEncryptedSegment(fileHandle, file, metadata.fileSize, segmentStart / SEGMENT_SIZE, plaintext);
+    }
+  } finally {
+    if (fileHandle) await fileHandle.close();
+  }
+  // Fragments are only needed until their segment is sealed, by this request or a whole-segment write
+  metadata.encryptedFragments = fragments.filter(({ offset }) => {
+    const [segmentStart, segmentEnd] = getSegmentBounds(offset, metadata.fileSize);
+    return getMissingRanges(ranges, segmentStart, segmentEnd).length > 0;
+  });
+  return ranges;
+}
+
+/**
+ * Normalize and validate a client-supplied SHA-256
+ * @param {string} [checksum] - Hex digest
+ * @returns {string|null} Lowercase digest, or null when none was sent
+ */
+function parseSha256(checksum) {
+  if (checksum === undefined || checksum === null || checksum === '') return null;
+  const normalized = String(checksum).trim().toLowerCase();
+  if (!SHA256_PATTERN.test(normalized)) {
+    throw createUploadError(400, 'Invalid sha256 checksum, expected 64 hex characters');
+  }
+  return normalized;
+}
+
+// --- Errors ---
+
+/**
+ * Create an error that carries the HTTP status and extra response fields for the route to send
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message sent as `error`
+ * @param {Object} [details] - Additional fields merged into the JSON response
+ * @returns {Error} Error with `status` and `details`
+ */
+function createUploadError(status, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+// --- Session Lifecycle ---
+
+const STORAGE_RESERVATION_LOCK = 'storage-reservation';
+
+/**
+ * Generate a batch ID in the format accepted by isValidBatchId
+ * @returns {string} Batch ID
+ */
+function generateBatchId() {
+  return `${Date.now()}-${crypto.randomBytes(5).toString('hex').substring(0, 9)}`;
+}
+
+/**
+ * Record the attributes of a newly stored file, releasing the content of a file it replaced
+ * @param {string} filePath - Final path of the stored file
+ * @param {string} sha256 - Hex SHA-256 of its content
+ * @param {Object|null} replacedAttributes - Attributes of the overwritten file, if any
+ * @param {Object} [options]
+ * @param {string|null} [options.mimeType] - MIME type detected from its content
+ * @param {boolean} [options.encrypted] - Whether the file is stored encrypted
+ * @param {number|null} [options.expiresIn] - Milliseconds until the uploader wants it deleted
+ * @param {number|null} [options.maxDownloads] - Downloads allowed before it is deleted
+ */
+async function recordStoredFile(filePath, sha256, replacedAttributes, { mimeType = null, encrypted = false, expiresIn = null, maxDownloads = null } = {}) {
+  const storedAt = Date.now();
+  await replaceFileAttributes(filePath, {
+    sha256,
+    mimeType,
+    storedAt: new Date(storedAt).toISOString(),
+    ...(expiresIn && { expiresAt: new Date(storedAt + expiresIn).toISOString() }),
+    ...(maxDownloads && { maxDownloads, downloadsRemaining: maxDownloads }),
+    ...(encrypted && { encrypted: true })
+  });
+  if (replacedAttributes) {
+    await releaseBlob(replacedAttributes.sha256, { encrypted: replacedAttributes.encrypted });
+  }
+}
+
+/**
+ * Detect the type of received content and check it against the upload's name and ALLOWED_EXTENSIONS
+ * @param {string} contentPath - File holding the content, or at least its first bytes (first segment if encrypted)
+ * @param {string} filePath - Path the content is stored as
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Whether the content is encrypted
+ * @param {number} [options.size] - Plaintext size of the complete file, needed for an encrypted partial file
+ * @returns {Promise<string|null>} Detected MIME type, or null if unknown
+ * @throws {Error} 415 upload error if the content is rejected
+ */
+async function inspectContentType(contentPath, filePath, { encrypted = false, size } = {}) {
+  let detectedType;
+  if (encrypted) {
+    const chunks = [];
+    for await (const data of await openReceivedContent(contentPath, { encrypted, size, end: SIGNATURE_LENGTH - 1 })) {
+      chunks.push(data);
+    }
+    detectedType = detectFileType(Buffer.concat(chunks));
+  } else {
+    detectedType = await detectFileTypeOfFile(contentPath);
+  }
+  if (config.verifyFileTypes) {
+    const rejection = checkFileType(path.basename(filePath), detectedType, config.allowedExtensions);
+    if (rejection) {
+      logger.warn(`Rejected content of ${filePath}: ${rejection}`);
+      throw createUploadError(415, rejection, { detectedType: detectedType ? detectedType.mime : null });
+    }
+  }
+  return detectedType ? detectedType.mime : null;
+}
+
+/**
+ * Open an upload's partial file, which initialization created
+ * @param {Object} metadata - Upload metadata
+ * @param {number} flags - fs open flags, never O_CREAT
+ * @returns {Promise<import('fs').promises.FileHandle>}
+ * @throws {Error} 410 with code PARTIAL_MISSING if the file is gone, e.g. reaped as stale
+ */
+async function openPartialFile(metadata, flags) {
+  try {
+    return await fs.open(metadata.partialFilePath, flags);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    logger.warn(`Partial file ${metadata.partialFilePath} of upload ${metadata.uploadId} is gone`);
+    throw Object.assign(
+      createUploadError(410, 'Upload data is no longer available, start the upload again'),
+      { code: 'PARTIAL_MISSING' }
+    );
+  }
+}
+
+/**
+ * Drop an upload that can't be stored: its partial file, metadata and running hash.
+ * @param {Object} metadata - Upload metadata
+ * @param {string} reason - Recorded as the failure in the upload's batch
+ */
+async function discardUpload(metadata, reason) {
+  await fs.unlink(metadata.partialFilePath).catch(() => {});
+  runningHashes.delete(metadata.uploadId);
+  invalidateStorageUsage();
+  await deleteUploadMetadata(metadata.uploadId);
+  await recordBatchFailure(metadata.batchId, metadata.originalFilename, reason, metadata.fileSize);
+}
+
+/**
+ * Report a stored file: it is added to its batch if the batch was declared, which notifies once
+ * the whole batch is done; files outside a declared batch are notified on their own
+ * @param {Object} metadata - Upload metadata with the final filePath
+ * @param {number} size - Size of the stored file in bytes
+ */
+async function announceStoredFile(metadata, size) {
+  const filename = path.relative(config.uploadDir, metadata.filePath).replace(/\\/g, '/');
+  const inDeclaredBatch = await recordBatchFile(metadata.batchId, { filename, size });
+  if (!inDeclaredBatch) {
+    sendNotification(metadata.originalFilename, size, config);
+  }
+}
+
+/**
+ * Validate a new upload, resolve its final path and persist its metadata.
+ * A rejected upload is recorded as failed in its batch.
+ * Zero-byte files are completed immediately; a name conflict resolved by skipping creates no session.
+ * @param {Object} options
+ * @param {string} options.filename - Path as sent by the client (may include folders)
+ * @param {number|string} options.fileSize - Expected size in bytes
+ * @param {string} [options.batchId] - Client batch ID; a new one is generated if omitted
+ * @param {string} [options.destination] - Folder within the upload directory to store the file in
+ * @param {string} [options.sha256] - Expected SHA-256 of the whole file, verified before finalizing
+ * @param {string} [options.conflict] - Name-conflict policy, defaults to config.conflictPolicy
+ * @param {boolean} [options.renameFolders] - Under the rename policy, give a batch its own copy of an existing top folder
+ * @param {boolean} [options.skipKnownContent] - Complete immediately when deduplication already holds content matching sha256
+ * @param {{ip: string, userAgent: string|null}} [options.uploader] - Client sending the upload, kept in the upload index
+ * @param {string|number} [options.expiresIn] - Delete the stored file after this duration, e.g. "7d" (see parseDuration)
+ * @param {string|number} [options.maxDownloads] - Delete the stored file after this many downloads
+ * @param {Object} [options.extraMetadata] - Protocol-specific fields stored with the session
+ * @returns {Promise<Object>} Persisted upload metadata; `complete` is set when no data needs to be sent,
+ *   `skipped` (with `existing`) when the name was taken and the policy is skip
+ */
+async function createUploadSession(options) {
+  try {
+    return await initializeUploadSession(options);
+  } catch (err) {
+    await recordBatchFailure(options.batchId, options.filename, err.message, Math.max(0, Number(options.fileSize) || 0));
+    throw err;
+  }
+}
+
+async function initializeUploadSession({ filename, fileSize, batchId: clientBatchId, destination: requestedDestination, sha256, conflict, renameFolders = true, skipKnownContent = false, uploader = null, expiresIn: requestedExpiry, maxDownloads: requestedMaxDownloads, extraMetadata = {} }) {
+  // --- Basic validations ---
+  if (!filename) throw createUploadError(400, 'Missing filename');
+  if (fileSize === undefined || fileSize === null) throw createUploadError(400, 'Missing fileSize');
+  const size = Number(fileSize);
+  if (isNaN(size) || size < 0) throw createUploadError(400, 'Invalid file size');
+  const maxSizeInBytes = config.maxFileSize;
+  if (size > maxSizeInBytes) throw createUploadError(413, 'File too large', { limit: maxSizeInBytes });
+  const expectedChecksum = parseSha256(sha256);
+  const conflictPolicy = conflict || config.conflictPolicy;
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw createUploadError(400, 'Invalid conflict policy', { allowed: CONFLICT_POLICIES });
+  }
+  const expiresIn = requestedExpiry ? parseDuration(requestedExpiry) : null;
+  if (requestedExpiry && expiresIn === null) {
+    throw createUploadError(400, 'Invalid expiresIn, expected a duration such as 30m, 12h or 7d', { expiresIn: requestedExpiry });
+  }
+  const maxDownloads = requestedMaxDownloads ? parseMaxDownloads(requestedMaxDownloads) : null;
+  if (requestedMaxDownloads && maxDownloads === null) {
+    throw createUploadError(400, 'Invalid maxDownloads, expected a positive integer', { maxDownloads: requestedMaxDownloads });
+  }
+
+  const batchId = clientBatchId || generateBatchId();
+  if (clientBatchId && !isValidBatchId(batchId)) throw createUploadError(400, 'Invalid batch ID format');
+  batchActivity.set(batchId, Date.now()); // Track batch session activity
+
+  // --- Path handling and Sanitization ---
+  const safeFilename = toSafeUploadPath(filename);
+  const destination = resolveDestination(requestedDestination);
+  if (isReservedPath(path.posix.join(destination, safeFilename))) {
+    throw createUploadError(400, 'Invalid filename', { filename: safeFilename });
+  }
+  logger.info(`Upload init request for: ${safeFilename}${destination ? ` into ${destination}` : ''}`);
+
+  // --- Extension Check ---
+  if (config.allowedExtensions) {
+    const fileExt = path.extname(safeFilename).toLowerCase();
+    if (fileExt && !config.allowedExtensions.includes(fileExt)) {
+      logger.warn(`File type not allowed: ${safeFilename} (Extension: ${fileExt})`);
+      throw createUploadError(400, 'File type not allowed', { receivedExtension: fileExt });
+    }
+  }
+
+  // --- Determine Paths & Handle Folders ---
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  const storage = getStorage();
+  const destinationDir = path.join(config.uploadDir, destination);
+  let finalFilePath = path.join(destinationDir, safeFilename);
+  const pathParts = safeFilename.split('/').filter(Boolean);
+
+  if (pathParts.length > 1 && conflictPolicy === 'rename' && renameFolders) {
+    // The client's top folder is renamed if taken; the destination folder itself never is
+    const originalFolderName = pathParts[0];
+    const folderMappingKey = `${path.posix.join(destination, originalFolderName)}-${batchId}`;
+    let newFolderName = folderMappings.get(folderMappingKey);
+
+    if (!newFolderName) {
+      newFolderName = originalFolderName;
+      let folderCounter = 1;
+      while (!await storage.reserveFolder(path.posix.join(destination, newFolderName))) {
+        newFolderName = `${originalFolderName} (${folderCounter++})`;
+      }
+      if (newFolderName !== originalFolderName) {
+        logger.info(`Folder "${originalFolderName}" exists or conflict, using unique "${newFolderName}" for batch ${batchId}`);
+      }
+      folderMappings.set(folderMappingKey, newFolderName);
+    }
+    pathParts[0] = newFolderName;
+    finalFilePath = path.join(destinationDir, ...pathParts);
+  }
+  // Other policies merge into existing folders and resolve conflicts per file
+
+  // --- Apply Conflict Policy ---
+  const existingStats = await storage.stat(getStorageKey(finalFilePath));
+  if (existingStats && conflictPolicy !== 'rename') {
+    const existing = { size: existingStats.size, mtime: existingStats.mtime };
+    if (existingStats.isDirectory) {
+      throw createUploadError(409, 'A folder with this name already exists', { filename: safeFilename });
+    }
+    if (conflictPolicy === 'error') {
+      logger.warn(`Rejected upload of ${safeFilename}: file already exists`);
+      throw createUploadError(409, 'File already exists', { filename: safeFilename, existing });
+    }
+    if (conflictPolicy === 'skip') {
+      logger.info(`Skipped upload of ${safeFilename}: file already exists`);
+      await recordBatchSkip(batchId, safeFilename, size);
+      return { originalFilename: safeFilename, filePath: finalFilePath, batchId, skipped: true, existing };
+    }
+    logger.info(`Upload of ${safeFilename} will overwrite the existing file`);
+  }
+
+  // --- Check Final Path Collision & Get Unique Name if Needed ---
+  let checkPath = finalFilePath;
+  let counter = 1;
+  while (conflictPolicy === 'rename' && await storage.stat(getStorageKey(checkPath))) {
+    logger.warn(`Final destination file already exists: ${checkPath}. Generating unique name.`);
+    const dir = path.dirname(finalFilePath);
+    const ext = path.extname(finalFilePath);
+    const baseName = path.basename(finalFilePath, ext);
+    checkPath = path.join(dir, `${baseName} (${counter})${ext}`);
+    counter++;
+  }
+  if (checkPath !== finalFilePath) {
+    logger.info(`Using unique final path: ${checkPath}`);
+    finalFilePath = checkPath;
+  }
+
+  const partialFilePath = storage.getStagingPath(finalFilePath, uploadId);
+  await fs.mkdir(path.dirname(partialFilePath), { recursive: true });
+  const encrypted = Boolean(config.encryptionKey);
+
+  // --- Create and Persist Metadata ---
+  const metadata = {
+    uploadId,
+    originalFilename: safeFilename, // Store the path as received by client
+    filePath: finalFilePath, // The final, possibly unique, path (relative to the upload dir it is the storage key)
+    partialFilePath,
+    fileSize: size,
+    bytesReceived: 0,
+    receivedRanges: [], // [start, end) byte ranges written to the partial file
+    expectedChecksum, // SHA-256 sent by the client, if any
+    conflict: conflictPolicy,
+    hashedBytes: 0, // How far the in-memory running hash has progressed
+    encrypted, // Partial file is in the encrypted format, see storeEncryptedPieces
+    batchId,
+    uploader,
+    expiresIn, // Milliseconds after completion until the stored file is deleted, if the uploader chose so
+    maxDownloads, // Downloads allowed before the stored file is deleted, if the uploader chose so
+    ...extraMetadata,
+    createdAt: Date.now(),
+    lastActivity: Date.now()
+  };
+
+  // --- Short-circuit Known Content --- The server already has these bytes, so no transfer is needed.
+  // Download-limited files never share content, so they are always transferred in full.
+  const replacedAttributes = existingStats && conflictPolicy === 'overwrite' ? await getFileAttributes(finalFilePath) : null;
+  const knownContentPath = skipKnownContent && size > 0 && !maxDownloads ? await findStoredContent(expectedChecksum, size, { encrypted }) : null;
+  const knownMimeType = knownContentPath ? await inspectContentType(knownContentPath, finalFilePath, { encrypted }) : null;
+  if (knownContentPath && await linkExistingContent(expectedChecksum, size, finalFilePath, { encrypted })) {
+    await recordStoredFile(finalFilePath, expectedChecksum, replacedAttributes, { mimeType: knownMimeType, encrypted, expiresIn, maxDownloads });
+    logger.success(`Completed ${safeFilename} as ${finalFilePath} from existing content ${expectedChecksum} without transfer`);
+    await recordCompletedUpload(metadata, { size, sha256: expectedChecksum, mimeType: knownMimeType, deduplicated: true });
+    await announceStoredFile(metadata, size);
+    return { ...metadata, bytesReceived: size, complete: true, deduplicated: true };
+  }
+
+  // --- Reserve Storage --- Checked and persisted under one lock so concurrent inits can't both claim the last bytes
+  await withUploadLock(STORAGE_RESERVATION_LOCK, async () => {
+    if (size > 0 && isStorageLimited()) {
+      const shortfall = await findStorageShortfall(size, getReservedBytes(await listUploadMetadata()));
+      if (shortfall) {
+        logger.warn(`Rejected upload of ${safeFilename} (${size} bytes): ${shortfall.message}`);
+        throw createUploadError(507, shortfall.message, shortfall.details);
+      }
+    }
+    await writeUploadMetadata(uploadId, metadata);
+  });
+  if (size > 0) {
+    // Created once here and never by writes, so a session whose file is gone can't fill a new one with zeros.
+    // Encrypted segments are written after the header as they arrive.
+    await fs.writeFile(partialFilePath, encrypted ? createHeader() : '', { flag: 'wx' });
+  }
+  logger.info(`Initialized persistent upload: ${uploadId} for ${safeFilename} -> ${finalFilePath}`);
+
+  // --- Handle Zero-Byte Files --- // (Important: Handle *after* metadata potentially exists)
+  if (size === 0) {
+    const emptySha256 = crypto.createHash('sha256').digest('hex');
+    if (expectedChecksum && expectedChecksum !== emptySha256) {
+      await deleteUploadMetadata(uploadId);
+      throw createUploadError(422, 'Checksum mismatch', { expected: expectedChecksum, actual: emptySha256 });
+    }
+    try {
+      // Create an empty staging file and store it, never truncating a file in place
+      await fs.writeFile(partialFilePath, encrypted ? encryptBuffer(config.encryptionKey, Buffer.alloc(0)) : '');
+      await storage.storeFile(partialFilePath, getStorageKey(finalFilePath));
+      await recordStoredFile(finalFilePath, emptySha256, replacedAttributes, { encrypted, expiresIn, maxDownloads });
+      logger.success(`Completed zero-byte file upload: ${metadata.originalFilename} as ${finalFilePath}`);
+      await deleteUploadMetadata(uploadId); // Clean up metadata since it's done
+      await recordCompletedUpload(metadata, { size: 0, sha256: emptySha256 });
+      await announceStoredFile(metadata, 0);
+    } catch (writeErr) {
+      logger.error(`Failed to create zero-byte file ${finalFilePath}: ${writeErr.message}`);
+      await deleteUploadMetadata(uploadId).catch(() => {}); // Attempt cleanup on error
+      throw writeErr;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Hand a completed partial file to the storage backend as its final path, drop its metadata and notify.
+ * Must be called while holding the upload lock.
+ * @param {Object} metadata - Metadata of a fully received upload
+ */
+async function finalizeUpload(metadata) {
+  const { uploadId } = metadata;
+  logger.info(`Upload ${uploadId} (${metadata.originalFilename}) completed ${metadata.bytesReceived} bytes.`);
+
+  // --- Verify Checksum --- Never move a file into place that differs from what the client sent
+  let sha256;
+  try {
+    sha256 = await completeRunningHash(metadata);
+  } catch (hashErr) {
+    if (hashErr.code === 'ENOENT') {
+      logger.warn(`Partial file ${metadata.partialFilePath} not found during finalization for ${uploadId}. Assuming already finalized elsewhere.`);
+      await deleteUploadMetadata(uploadId).catch(() => {});
+      return;
+    }
+    throw hashErr;
+  }
+  if (metadata.expectedChecksum && sha256 !== metadata.expectedChecksum) {
+    logger.error(`Checksum mismatch for ${uploadId} (${metadata.originalFilename}): expected ${metadata.expectedChecksum}, got ${sha256}. Discarding upload.`);
+    await discardUpload(metadata, 'Checksum mismatch');
+    throw createUploadError(422, 'Checksum mismatch: the received file does not match the sha256 sent at init', {
+      expected: metadata.expectedChecksum,
+      actual: sha256
+    });
+  }
+
+  // --- Verify Content Type --- Magic bytes must match the file's extension and the allowed types
+  let mimeType;
+  try {
+    mimeType = await inspectContentType(metadata.partialFilePath, metadata.filePath, { encrypted: metadata.encrypted });
+  } catch (typeErr) {
+    if (typeErr.status) await discardUpload(metadata, typeErr.message);
+    throw typeErr;
+  }
+
+  // --- Scan for Malware --- Infected files go to quarantine instead of the upload directory
+  if (isVirusScanEnabled()) {
+    let scanResult;
+    try {
+      scanResult = await scanFile(metadata.encrypted ?
+        await openReceivedContent(metadata.partialFilePath, { encrypted: true }) :
+        metadata.partialFilePath);
+    } catch (scanErr) {
+      // Keep the received file so a retry can finalize once the scanner is back
+      logger.error(`Virus scan of ${metadata.originalFilename} (${uploadId}) failed: ${scanErr.message}`);
+      throw createUploadError(503, 'Virus scanner unavailable, try again later');
+    }
+    if (scanResult.infected) {
+      await quarantineFile(metadata.partialFilePath, { filename: metadata.originalFilename, signature: scanResult.signature });
+      await discardUpload(metadata, `Malware detected: ${scanResult.signature}`);
+      sendQuarantineNotification(metadata.originalFilename, scanResult.signature, config);
+      throw createUploadError(422, 'File rejected: malware detected', { virus: scanResult.signature });
+    }
+  }
+
+  try {
+    const replacedAttributes = metadata.conflict === 'overwrite' ? await getFileAttributes(metadata.filePath) : null;
+    const { deduplicated } = await getStorage().storeFile(metadata.partialFilePath, getStorageKey(metadata.filePath), {
+      sha256,
+      size: metadata.fileSize,
+      contentType: metadata.encrypted ? null : mimeType, // Don't label ciphertext with the type of its content
+      encrypted: metadata.encrypted,
+      shareable: !metadata.maxDownloads // Another upload linked to the same bytes would outlive the limit
+    });
+    if (deduplicated) {
+      recordStoredBytes(-metadata.fileSize); // The received copy was dropped in favour of existing content
+    }
+    if (metadata.conflict === 'overwrite') {
+      invalidateStorageUsage(); // A replaced file freed an unknown amount of space
+    }
+    logger.success(`Upload completed and finalized: ${metadata.originalFilename} as ${metadata.filePath} (${metadata.fileSize} bytes, sha256 ${sha256})`);
+    await recordStoredFile(metadata.filePath, sha256, replacedAttributes, {
+      mimeType,
+      encrypted: metadata.encrypted,
+      expiresIn: metadata.expiresIn,
+      maxDownloads: metadata.maxDownloads
+    });
+    await deleteUploadMetadata(uploadId); // Clean up metadata file AFTER successful rename
+    await recordCompletedUpload(metadata, { size: metadata.fileSize, sha256, mimeType, deduplicated });
+    await announceStoredFile(metadata, metadata.fileSize);
+  } catch (renameErr) {
+    if (renameErr.code === 'ENOENT') {
+      logger.warn(`Partial file ${metadata.partialFilePath} not found during finalization for ${uploadId}. Assuming already finalized elsewhere.`);
+      // Attempt to delete metadata anyway if partial is gone
+      await deleteUploadMetadata(uploadId).catch(() => {});
+    } else {
+      logger.error(`CRITICAL: Failed to store partial file ${metadata.partialFilePath} as ${metadata.filePath}: ${renameErr.message}`);
+      // Keep metadata and partial file for manual recovery.
+      // Return success to client as data is likely there, but log server issue.
+    }
+  }
+}
+
+/**
+ * Store an upload whose bytes have all arrived but that couldn't be finalized yet, e.g. while the virus
+ * scanner was unavailable. Nothing happens for a session that is gone or still receiving data.
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<void>}
+ * @throws {Error} Upload error if finalizing fails again, e.g. 503 while the scanner is still down
+ */
+async function finalizeReceivedUpload(uploadId) {
+  await withUploadLock(uploadId, async () => {
+    const metadata = await readUploadMetadata(uploadId);
+    if (metadata && metadata.bytesReceived >= metadata.fileSize) await finalizeUpload(metadata);
+  });
+}
+
+// Record activity of an upload still receiving data; writing the metadata refreshes lastActivity
+async function touchUploadSession(uploadId) {
+  await withUploadLock(uploadId, async () => {
+    const current = await readUploadMetadata(uploadId);
+    if (current) await writeUploadMetadata(uploadId, current);
+  });
+}
+
+/**
+ * Write a stream of bytes into an upload as they arrive, starting at the given offset, and finalize it once complete.
+ * Ranges that were already received are skipped. If the stream fails midway, the bytes written so far are kept
+ * unless `keepPartialOnError` is false; bytes that fail checksum verification are always discarded.
+ * @param {string} uploadId - Upload session ID
+ * @param {AsyncIterable<Buffer>} source - Received bytes, e.g. a request stream
+ * @param {Object} [options]
+ * @param {number|null} [options.offset] - Byte offset of the first byte; appends when null
+ * @param {number} [options.totalSize] - Total size claimed by the client, checked against the session
+ * @param {number} [options.maxBytes] - Reject the source with 413 once it exceeds this many bytes
+ * @param {{algorithm: string, encoding: string, expected: string}} [options.checksum] - Expected digest of the whole source
+ * @param {boolean} [options.keepPartialOnError] - Record bytes written before a failure (default: true)
+ * @returns {Promise<Object>} Updated metadata (bytesReceived equals fileSize once complete)
+ */
+async function writeUploadStream(uploadId, source, {
+  offset: requestedOffset = null,
+  totalSize,
+  maxBytes,
+  checksum,
+  keepPartialOnError = true
+} = {}) {
+  let metadata = await readUploadMetadata(uploadId);
+  if (!metadata) {
+    throw createUploadError(404, 'Upload session not found or already completed');
+  }
+
+  // Update batch activity using metadata's batchId
+  if (metadata.batchId && isValidBatchId(metadata.batchId)) {
+    batchActivity.set(metadata.batchId, Date.now());
+  }
+
+  // --- Sanity Checks & Idempotency ---
+  if (metadata.bytesReceived >= metadata.fileSize) {
+    logger.warn(`Received chunk for already completed upload ${uploadId} (${metadata.originalFilename}). Finalizing again if needed.`);
+    // Finalize if the partial file is still there (e.g. the scanner was unavailable); a missing partial means it
+    // was already moved into place, which finalizeUpload detects. The final path can't tell, it may be an overwritten file.
+    await finalizeReceivedUpload(uploadId);
+    return { ...metadata, bytesReceived: metadata.fileSize };
+  }
+
+  if (totalSize !== undefined && totalSize !== metadata.fileSize) {
+    throw createUploadError(400, 'Chunk total size does not match upload size', { fileSize: metadata.fileSize });
+  }
+
+  // Chunks without an explicit offset keep the original append semantics
+  const offset = requestedOffset === null ? getContiguousOffset(getReceivedRanges(metadata)) : requestedOffset;
+  if (offset >= metadata.fileSize) {
+    logger.warn(`Chunk for ${uploadId} starts at ${offset}, beyond expected file size ${metadata.fileSize}.`);
+    throw createUploadError(416, 'Chunk offset beyond end of file', { fileSize: metadata.fileSize });
+  }
+
+  // --- Write Data (Positional) --- Only ranges not received yet are written, so retries are harmless
+  const knownRanges = getReceivedRanges(metadata);
+  const sourceHash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  // Encrypted uploads are written a whole segment at a time, the rest is recorded under the lock
+  const splitter = metadata.encrypted ? createSegmentSplitter(offset, metadata.fileSize) : null;
+  let encryptedFile = null;
+  let writtenRanges = [];
+  let position = offset;
+  let fileHandle = null;
+  let streamError = null;
+  let lastTouched = metadata.lastActivity || 0;
+  try {
+    // Iterate by hand: leaving a for-await loop early would destroy the request before the error response is sent
+    const chunks = source[Symbol.asyncIterator]();
+    for (let next = await chunks.next(); !next.done; next = await chunks.next()) {
+      const data = next.value;
+      if (maxBytes !== undefined && position + data.length - offset > maxBytes) {
+        throw createUploadError(413, 'Chunk too large', { limit: maxBytes });
+      }
+      if (sourceHash) sourceHash.update(data);
+      // A single request may take longer than the cleanup timeout, e.g. a raw PUT or tus PATCH of a large file
+      if (Date.now() - lastTouched >= ACTIVITY_REFRESH_INTERVAL) {
+        lastTouched = Date.now();
+        await touchUploadSession(uploadId);
+        if (metadata.batchId && isValidBatchId(metadata.batchId)) batchActivity.set(metadata.batchId, lastTouched);
+      }
+      const dataStart = position;
+      position += data.length;
+      // Prevent writing beyond expected file size (simple protection)
+      const dataEnd = Math.min(position, metadata.fileSize);
+      if (dataEnd <= dataStart) continue;
+
+      const missingRanges = getMissingRanges(knownRanges, dataStart, dataEnd);
+      if (splitter) {
+        for (const segment of splitter.push(data.subarray(0, dataEnd - dataStart))) {
+          const segmentEnd = segment.start + segment.data.length;
+          if (getMissingRanges(knownRanges, segment.start, segmentEnd).length === 0) continue;
+          if (!fileHandle) {
+            fileHandle = await openPartialFile(metadata, fsSync.constants.O_RDWR);
+            encryptedFile = await readEncryptionHeader(fileHandle);
+          }
+          await writeEncryptedSegment(fileHandle, encryptedFile, metadata.fileSize, segment.index, segment.data);
+          writtenRanges = addReceivedRange(writtenRanges, segment.start, segmentEnd);
+        }
+      } else if (missingRanges.length > 0) {
+        if (!fileHandle) {
+          fileHandle = await openPartialFile(metadata, fsSync.constants.O_WRONLY);
+        }
+        for (const [start, end] of missingRanges) {
+          const writeResult = await fileHandle.write(data, start - dataStart, end - start, start);
+          if (writeResult.bytesWritten !== end - start) {
+            // This indicates a partial write, which is problematic.
+            logger.error(`Partial write for chunk ${uploadId}! Expected ${end - start}, wrote ${writeResult.bytesWritten}. Disk full?`);
+            throw new Error(`Failed to write full chunk for ${uploadId}`);
+          }
+          writtenRanges = addReceivedRange(writtenRanges, start, end);
+        }
+      }
+      if (missingRanges.length === 0) continue;
+      advanceRunningHash(metadata, data, dataStart, missingRanges);
+    }
+    if (sourceHash) {
+      const actual = sourceHash.digest(checksum.encoding);
+      if (actual !== checksum.expected) {
+        logger.warn(`Chunk checksum mismatch for ${uploadId} at offset ${offset}: expected ${checksum.expected}, got ${actual}`);
+        throw Object.assign(
+          createUploadError(400, 'Chunk checksum mismatch', { expected: checksum.expected, actual }),
+          { code: 'CHECKSUM_MISMATCH' }
+        );
+      }
+    }
+  } catch (err) {
+    streamError = err;
+  } finally {
+    if (fileHandle) await fileHandle.close(); // Close immediately
+  }
+  const pieces = splitter ? splitter.finish() : [];
+  let receivedRanges = writtenRanges;
+  for (const piece of pieces) {
+    for (const [start, end] of getMissingRanges(knownRanges, piece.start, piece.start + piece.data.length)) {
+      receivedRanges = addReceivedRange(receivedRanges, start, end);
+    }
+  }
+
+  // --- Drop Lost Uploads --- Nothing received so far can be kept, unless the upload was just finalized
+  if (streamError?.code === 'PARTIAL_MISSING') {
+    const lost = await withUploadLock(uploadId, async () => {
+      const current = await readUploadMetadata(uploadId);
+      if (current) await discardUpload(current, streamError.message);
+      return current;
+    });
+    if (!lost) throw createUploadError(404, 'Upload session not found or already completed');
+    throw streamError;
+  }
+
+  // --- Discard Failed Data --- Unrecorded ranges are rewritten by the retry; the running hash restarts from disk
+  if (streamError && (!keepPartialOnError || streamError.code === 'CHECKSUM_MISMATCH')) {
+    if (receivedRanges.length > 0) runningHashes.delete(uploadId);
+    throw streamError;
+  }
+
+  if (position > metadata.fileSize) {
+    logger.warn(`Chunk for ${uploadId} exceeds expected file size. Received up to ${position}, expected ${metadata.fileSize}. Truncating chunk.`);
+  }
+  if (receivedRanges.length === 0) {
+    if (streamError) throw streamError;
+    logger.info(`Chunk for ${uploadId} at offset ${offset} (${position - offset} bytes) was already received. Skipping write.`);
+  }
+
+  // --- Update State & Finalize --- Re-read under lock so concurrent chunks don't overwrite each other's ranges
+  metadata = await withUploadLock(uploadId, async () => {
+    const current = await readUploadMetadata(uploadId);
+    if (!current) return null; // Finalized or cancelled by a concurrent request
+
+    let ranges = getReceivedRanges(current);
+    for (const [start, end] of writtenRanges) {
+      ranges = addReceivedRange(ranges, start, end);
+    }
+    if (current.encrypted) {
+      try {
+        ranges = await storeEncryptedPieces(current, ranges, pieces);
+      } catch (pieceErr) {
+        runningHashes.delete(uploadId); // It has seen bytes that are not recorded
+        if (pieceErr.code === 'PARTIAL_MISSING') await discardUpload(current, pieceErr.message);
+        throw pieceErr;
+      }
+    }
+    current.receivedRanges = ranges;
+    current.bytesReceived = countReceivedBytes(ranges);
+    current.hashedBytes = runningHashes.get(uploadId)?.offset || 0;
+
+    logger.debug(`Chunk written for ${uploadId} at offset ${offset}: ${current.bytesReceived}/${current.fileSize}`);
+
+    // --- Persist Updated Metadata (Before potential finalization) --- Kept even when the stream failed midway
+    await writeUploadMetadata(uploadId, current);
+    recordStoredBytes(countReceivedBytes(receivedRanges));
+
+    // --- Check Content Type Early --- Once the first bytes are in, reject a mismatching file without receiving the rest
+    // (encrypted files are readable once their first segment is sealed)
+    const signatureLength = Math.min(current.encrypted ? SEGMENT_SIZE : SIGNATURE_LENGTH, current.fileSize);
+    const completedSignature = receivedRanges.some(([start]) => start < signatureLength) && getContiguousOffset(ranges) >= signatureLength;
+    if (completedSignature && current.bytesReceived < current.fileSize) {
+      try {
+        await inspectContentType(current.partialFilePath, current.filePath, { encrypted: current.encrypted, size: current.fileSize });
+      } catch (typeErr) {
+        if (typeErr.status) await discardUpload(current, typeErr.message);
+        throw typeErr;
+      }
+    }
+
+    // --- Check for Completion --- // Now happens after metadata update
+    if (!streamError && current.bytesReceived >= current.fileSize) {
+      await finalizeUpload(current);
+    }
+    return current;
+  });
+
+  if (streamError) throw streamError;
+  if (!metadata) {
+    logger.warn(`Upload ${uploadId} disappeared while processing chunk.`);
+    throw createUploadError(404, 'Upload session not found or already completed');
+  }
+  return metadata;
+}
+
+/**
+ * Complete an upload with a file that was already received in full elsewhere (e.g. a multipart form part).
+ * The file must be on the same filesystem as the upload directory; it is moved, not copied.
+ * @param {string} uploadId - Upload session ID
+ * @param {string} sourcePath - Fully received file of exactly the session's size
+ * @param {crypto.Hash} [hash] - SHA-256 hash already fed the whole file, saves reading it again
+ * @returns {Promise<Object>} Completed metadata
+ */
+async function adoptUploadFile(uploadId, sourcePath, hash) {
+  return withUploadLock(uploadId, async () => {
+    const metadata = await readUploadMetadata(uploadId);
+    if (!metadata) {
+      throw createUploadError(404, 'Upload session not found or already completed');
+    }
+    await fs.rename(sourcePath, metadata.partialFilePath);
+    recordStoredBytes(metadata.fileSize);
+    if (hash) {
+      runningHashes.set(uploadId, { hash, offset: metadata.fileSize });
+    }
+    metadata.receivedRanges = metadata.fileSize > 0 ? [[0, metadata.fileSize]] : [];
+    metadata.bytesReceived = metadata.fileSize;
+    metadata.hashedBytes = hash ? metadata.fileSize : 0;
+    await writeUploadMetadata(uploadId, metadata);
+    await finalizeUpload(metadata);
+    return metadata;
+  });
+}
+
+/**
+ * Cancel an upload, removing its partial file and metadata
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<Object|null>} Metadata of the cancelled upload, or null if none existed
+ */
+async function cancelUploadSession(uploadId) {
+  const metadata = await readUploadMetadata(uploadId);
+  if (!metadata) return null;
+
+  // Delete partial file first
+  try {
+    await fs.unlink(metadata.partialFilePath);
+    logger.info(`Deleted partial file on cancellation: ${metadata.partialFilePath}`);
+  } catch (unlinkErr) {
+    if (unlinkErr.code !== 'ENOENT') { // Ignore if already gone
+      logger.error(`Failed to delete partial file ${metadata.partialFilePath} on cancel: ${unlinkErr.message}`);
+    }
+  }
+  // Then delete metadata file
+  await deleteUploadMetadata(uploadId);
+  runningHashes.delete(uploadId);
+  invalidateStorageUsage();
+  await recordBatchFailure(metadata.batchId, metadata.originalFilename, 'Upload cancelled', metadata.fileSize);
+  logger.info(`Upload cancelled and cleaned up: ${uploadId} (${metadata.originalFilename})`);
+  return metadata;
+}
+
+/**
+ * Progress of an upload as a whole percentage
+ * @param {Object} metadata - Upload metadata
+ * @returns {number} Progress from 0 to 100
+ */
+function getUploadProgress(metadata) {
+  return metadata.fileSize === 0 ? 100 :
+    Math.min(Math.round((metadata.bytesReceived / metadata.fileSize) * 100), 100);
+}
+
+module.exports = {
+  METADATA_DIR,
+  createUploadError,
+  parseSha256,
+  generateBatchId,
+  createUploadSession,
+  writeUploadStream,
+  finalizeReceivedUpload,
+  adoptUploadFile,
+  cancelUploadSession,
+  getUploadProgress,
+  getReceivedRanges,
+  getContiguousOffset,
+  toSafeUploadPath,
+  startBatchCleanup,
+  stopBatchCleanup,
+  readUploadMetadata,
+  writeUploadMetadata,
+  deleteUploadMetadata,
+  listUploadMetadata
+};
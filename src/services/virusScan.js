@@ -0,0 +1,124 @@
+/**
+ * Virus scanning of finished uploads through a ClamAV daemon.
+ * Speaks the clamd INSTREAM protocol over a unix or TCP socket; infected files are
+ * moved to QUARANTINE_DIR, by default .metadata/quarantine inside the upload directory,
+ * where they are hidden from listings and downloads.
+ */
+
+const net = require('net');
+const path = require('path');
+const { once } = require('events');
+const fs = require('fs');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+
+const STREAM_CHUNK_SIZE = 64 * 1024;
+const SCAN_TIMEOUT = 2 * 60 * 1000; // Longest clamd may stay silent, including the scan after the last chunk
+
+/**
+ * Whether a clamd socket or host is configured
+ * @returns {boolean}
+ */
+function isVirusScanEnabled() {
+  return Boolean(config.clamavSocket || config.clamavHost);
+}
+
+function parseScanResponse(response) {
+  const reply = response.replace(/\0/g, '').trim();
+  if (reply === 'stream: OK') {
+    return { infected: false, signature: null };
+  }
+  const found = /^stream: (.+) FOUND$/.exec(reply);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  throw new Error(`clamd replied: ${reply || 'nothing'}`);
+}
+
+/**
+ * Scan a file with clamd
+ * @param {string|import('stream').Readable} source - File to scan, or a stream of its content (e.g. decrypted)
+ * @returns {Promise<{infected: boolean, signature: string|null}>} Scan result with the detected signature name
+ * @throws {Error} If clamd can't be reached or fails to scan the file (e.g. StreamMaxLength exceeded)
+ */
+function scanFile(source) {
+  return new Promise((resolve, reject) => {
+    const socket = config.clamavSocket ?
+      net.createConnection(config.clamavSocket) :
+      net.createConnection(config.clamavPort, config.clamavHost);
+    const input = typeof source === 'string' ? fs.createReadStream(source, { highWaterMark: STREAM_CHUNK_SIZE }) : source;
+    let response = '';
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      input.destroy();
+      socket.destroy();
+      if (err && !response) return reject(err);
+      try {
+        resolve(parseScanResponse(response));
+      } catch (parseErr) {
+        reject(parseErr);
+      }
+    };
+
+    socket.setTimeout(SCAN_TIMEOUT, () => finish(new Error('clamd did not respond in time')));
+    socket.on('error', finish); // clamd may reply and hang up before the whole file is sent
+    socket.on('data', (data) => {
+      response += data.toString();
+      if (response.includes('\0')) finish();
+    });
+    socket.on('end', () => finish());
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        // Each chunk is prefixed with its length as a 4-byte big-endian integer
+        for await (const chunk of input) {
+          const header = Buffer.alloc(4);
+          header.writeUInt32BE(chunk.length);
+          socket.write(header);
+          if (!socket.write(chunk)) await once(socket, 'drain');
+        }
+        socket.write(Buffer.alloc(4)); // Zero-length chunk ends the stream
+      } catch (err) {
+        finish(err);
+      }
+    });
+  });
+}
+
+/**
+ * Move an infected file into the quarantine folder, with a JSON note on where it came from
+ * @param {string} filePath - Infected file
+ * @param {Object} details - Recorded next to the file
+ * @param {string} details.filename - Name the file was uploaded as
+ * @param {string} details.signature - Name of the detected malware
+ * @returns {Promise<string>} Path of the quarantined file
+ */
+async function quarantineFile(filePath, { filename, signature }) {
+  await fs.promises.mkdir(config.quarantineDir, { recursive: true });
+  const quarantinePath = path.join(config.quarantineDir, `${Date.now()}-${path.basename(filename)}`);
+  try {
+    await fs.promises.rename(filePath, quarantinePath);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    // Quarantine on another volume
+    await fs.promises.copyFile(filePath, quarantinePath);
+    await fs.promises.unlink(filePath);
+  }
+  await fs.promises.writeFile(`${quarantinePath}.json`, JSON.stringify({
+    filename,
+    signature,
+    quarantinedAt: new Date().toISOString()
+  }, null, 2));
+  logger.warn(`Quarantined ${filename} (${signature}) as ${quarantinePath}`);
+  return quarantinePath;
+}
+
+module.exports = {
+  isVirusScanEnabled,
+  scanFile,
+  quarantineFile
+};
@@ -0,0 +1,71 @@
+/**
+ * Storage backend selection.
+ * Finished uploads are handed to the adapter chosen by STORAGE_BACKEND; everything that reads,
+ * lists or deletes stored files goes through it. Receiving an upload is not part of the
+ * interface: bytes are written to a local staging file, checked, and then passed to storeFile.
+ */
+
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * @typedef {Object} StorageEntry
+ * @property {string} key - Path relative to the storage root, with forward slashes
+ * @property {number} size - Size in bytes (0 for folders)
+ * @property {Date|null} mtime - Last modification, if known
+ * @property {boolean} isDirectory - Whether the entry is a folder
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name as set in STORAGE_BACKEND
+ * @property {() => Promise<void>} [init] - Check the backend is reachable at startup
+ * @property {(filePath: string, uploadId: string) => string} getStagingPath - Local file an upload is received into
+ * @property {(sourcePath: string, key: string, options?: {sha256?: string, size?: number, contentType?: string, encrypted?: boolean, shareable?: boolean}) => Promise<{deduplicated: boolean}>} storeFile -
+ *   Finalize a fully received staging file as `key`, replacing any existing file; the staging file is consumed.
+ *   `sha256` and `size` describe the plaintext, which differs from the staged bytes when `encrypted`;
+ *   content that isn't `shareable` must not be deduplicated against
+ * @property {(key: string) => Promise<{size: number, mtime: Date|null, isDirectory: boolean}|null>} stat - Null if nothing is stored as `key`
+ * @property {(prefix?: string, options?: {recursive?: boolean}) => Promise<StorageEntry[]>} list - Files and folders in a folder
+ * @property {(key: string, range?: {start?: number, end?: number}) => Promise<import('stream').Readable>} createReadStream -
+ *   Read a stored file, optionally an inclusive byte range; rejects with code ENOENT if missing
+ * @property {(key: string) => Promise<void>} delete - Remove a stored file; rejects with code ENOENT if missing
+ * @property {(sourceKey: string, key: string) => Promise<void>} move - Move a stored file to `key`, replacing any
+ *   existing file; rejects with code ENOENT if the source is missing
+ * @property {(sourceKey: string, key: string, options?: {sha256?: string, size?: number, encrypted?: boolean}) => Promise<void>} copy -
+ *   Copy a stored file to `key`, replacing any existing file; options describe the content as for storeFile
+ * @property {(key: string) => Promise<boolean>} reserveFolder - Claim a folder name, false if it is taken
+ * @property {() => Promise<number>} getUsedBytes - Bytes held by stored files
+ */
+
+const ADAPTERS = {
+  local: () => require('./localStorage'),
+  s3: () => require('./s3Storage')
+};
+
+let storage = null;
+
+/**
+ * The storage adapter configured by STORAGE_BACKEND
+ * @returns {StorageAdapter}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = ADAPTERS[config.storageBackend]();
+  }
+  return storage;
+}
+
+/**
+ * Storage key of a path inside the upload directory
+ * @param {string} filePath - Path within config.uploadDir
+ * @returns {string} Relative key with forward slashes
+ */
+function getStorageKey(filePath) {
+  return path.relative(path.resolve(config.uploadDir), path.resolve(filePath)).replace(/\\/g, '/');
+}
+
+module.exports = {
+  getStorage,
+  getStorageKey
+};
@@ -0,0 +1,153 @@
+/**
+ * Local filesystem storage adapter, the default backend.
+ * Stored files live directly in the upload directory, keyed by their relative path;
+ * received uploads are staged beside their destination, one file per session, so finalizing is a rename.
+ * Implements the StorageAdapter interface documented in ./index.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { calculateDirectorySize } = require('../utils/fileUtils');
+const { placeUploadedFile, linkExistingContent } = require('../services/deduplication');
+
+const METADATA_DIR_NAME = '.metadata';
+
+function resolveKey(key) {
+  return path.join(config.uploadDir, key);
+}
+
+// Symlinks must not lead out of the upload directory; what they point to elsewhere is treated as missing
+async function isInsideUploadDir(filePath) {
+  try {
+    const root = await fs.promises.realpath(config.uploadDir);
+    const realPath = await fs.promises.realpath(filePath);
+    return realPath === root || realPath.startsWith(root + path.sep);
+  } catch (err) {
+    if (err.code === 'ENOENT') return true; // Nothing there to expose
+    throw err;
+  }
+}
+
+async function statKey(key) {
+  try {
+    const stats = await fs.promises.stat(resolveKey(key));
+    return await isInsideUploadDir(resolveKey(key)) ? stats : null;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function ensureInsideUploadDir(key) {
+  if (!await isInsideUploadDir(resolveKey(key))) {
+    throw Object.assign(new Error(`${key} links outside the upload directory`), { code: 'ENOENT' });
+  }
+}
+
+// Named by session as well, so uploads of the same name (e.g. with conflict=overwrite) never share a file
+function getStagingPath(filePath, uploadId) {
+  return `${filePath}.${uploadId}.partial`;
+}
+
+async function storeFile(sourcePath, key, { sha256, size, encrypted, shareable } = {}) {
+  if (!sha256) {
+    await fs.promises.rename(sourcePath, resolveKey(key));
+    return { deduplicated: false };
+  }
+  return placeUploadedFile(sourcePath, resolveKey(key), sha256, size, { encrypted, shareable });
+}
+
+async function stat(key) {
+  const stats = await statKey(key);
+  return stats && { size: stats.size, mtime: stats.mtime, isDirectory: stats.isDirectory() };
+}
+
+async function list(prefix = '', { recursive = false } = {}) {
+  let names;
+  try {
+    names = await fs.promises.readdir(resolveKey(prefix));
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const name of names) {
+    if (!prefix && name === METADATA_DIR_NAME) continue;
+    const key = prefix ? `${prefix.replace(/\/+$/, '')}/${name}` : name;
+    const stats = await statKey(key).catch(() => null); // Removed concurrently or unreadable
+    if (!stats) continue;
+    entries.push({ key, size: stats.size, mtime: stats.mtime, isDirectory: stats.isDirectory() });
+    if (recursive && stats.isDirectory()) {
+      entries.push(...await list(key, { recursive }));
+    }
+  }
+  return entries;
+}
+
+async function createReadStream(key, range = {}) {
+  await ensureInsideUploadDir(key);
+  const stream = fs.createReadStream(resolveKey(key), range);
+  // Surface a missing file to the caller rather than as a stream error
+  await new Promise((resolve, reject) => {
+    stream.once('open', resolve);
+    stream.once('error', reject);
+  });
+  return stream;
+}
+
+async function deleteFile(key) {
+  await fs.promises.unlink(resolveKey(key));
+}
+
+async function moveFile(sourceKey, key) {
+  await fs.promises.mkdir(path.dirname(resolveKey(key)), { recursive: true });
+  await fs.promises.rename(resolveKey(sourceKey), resolveKey(key));
+}
+
+// Known content is linked from the blob store; anything else is copied beside the target and stored like an upload
+async function copyFile(sourceKey, key, { sha256, size, encrypted } = {}) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  if (await linkExistingContent(sha256, size, filePath, { encrypted })) return;
+  await ensureInsideUploadDir(sourceKey);
+  const stagingPath = getStagingPath(filePath, crypto.randomBytes(8).toString('hex'));
+  try {
+    await fs.promises.copyFile(resolveKey(sourceKey), stagingPath);
+    await storeFile(stagingPath, key, { sha256, size, encrypted });
+  } catch (err) {
+    await fs.promises.unlink(stagingPath).catch(() => {});
+    throw err;
+  }
+}
+
+async function reserveFolder(key) {
+  const folderPath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(folderPath), { recursive: true });
+  try {
+    await fs.promises.mkdir(folderPath, { recursive: false });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+}
+
+function getUsedBytes() {
+  return calculateDirectorySize(config.uploadDir);
+}
+
+module.exports = {
+  name: 'local',
+  getStagingPath,
+  storeFile,
+  stat,
+  list,
+  createReadStream,
+  delete: deleteFile,
+  move: moveFile,
+  copy: copyFile,
+  reserveFolder,
+  getUsedBytes
+};
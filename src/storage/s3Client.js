@@ -0,0 +1,329 @@
+/**
+ * Minimal client for S3-compatible object storage (AWS S3, MinIO, Garage).
+ * Signs requests with AWS Signature Version 4 and covers the handful of object and
+ * multipart upload operations the S3 storage adapter needs.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').digest('hex');
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, SigV4 requires them encoded
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name.toLowerCase()];
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  });
+}
+
+/**
+ * Text content of every `<tag>` element in an S3 XML response (elements must not nest themselves)
+ * @param {string} xml - Response body
+ * @param {string} tag - Element name
+ * @returns {string[]} Raw inner XML of each element, in document order
+ */
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * First `<tag>` value in an XML fragment, entity-decoded
+ * @param {string} xml - Response body or element content
+ * @param {string} tag - Element name
+ * @returns {string|null} Decoded text, or null if absent
+ */
+function xmlValue(xml, tag) {
+  const [value] = xmlElements(xml, tag);
+  return value === undefined ? null : decodeXml(value);
+}
+
+async function readBody(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a client for one bucket
+ * @param {Object} options
+ * @param {string} options.endpoint - Service URL, e.g. http://localhost:9000
+ * @param {string} options.region - Signing region
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - Access key ID
+ * @param {string} options.secretAccessKey - Secret access key
+ * @param {boolean} [options.forcePathStyle] - Address the bucket in the path rather than the host name
+ * @returns {Object} Client with request and operation helpers
+ */
+function createS3Client({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  const baseUrl = new URL(endpoint);
+  const transport = baseUrl.protocol === 'https:' ? https : http;
+  const host = forcePathStyle ? baseUrl.host : `${bucket}.${baseUrl.host}`;
+  const basePath = baseUrl.pathname.replace(/\/+$/, '') + (forcePathStyle ? `/${encodeRfc3986(bucket)}` : '');
+
+  // Source of a copy as S3 expects it: bucket and key, URL-encoded
+  function copySource(sourceKey) {
+    return `/${encodeRfc3986(bucket)}/${sourceKey.split('/').map(encodeRfc3986).join('/')}`;
+  }
+
+  function signingKey(dateStamp) {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    return hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+  }
+
+  function sign(method, canonicalPath, query, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    headers['x-amz-date'] = amzDate;
+    headers['x-amz-content-sha256'] = payloadHash;
+
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signature = crypto.createHmac('sha256', signingKey(dateStamp)).update(stringToSign).digest('hex');
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return canonicalQuery;
+  }
+
+  /**
+   * Send a signed request for an object key (or the bucket itself when key is empty)
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} [options]
+   * @param {Object} [options.query] - Query parameters; use '' for valueless ones like `uploads`
+   * @param {Object} [options.headers] - Extra headers, all of them signed
+   * @param {Buffer|string} [options.body] - Request body
+   * @param {boolean} [options.stream] - Resolve with the response stream instead of reading the body
+   * @returns {Promise<{statusCode: number, headers: Object, body?: string, stream?: http.IncomingMessage}>}
+   * @throws {Error} With `statusCode` and the S3 error `code`; missing keys have code ENOENT
+   */
+  function request(method, key, { query = {}, headers = {}, body, stream = false } = {}) {
+    const payload = body === undefined ? null : Buffer.from(body);
+    const canonicalPath = key ? `${basePath}/${key.split('/').map(encodeRfc3986).join('/')}` : (basePath || '/');
+    const requestHeaders = { host, ...headers };
+    const canonicalQuery = sign(method, canonicalPath, query, requestHeaders, payload ? sha256Hex(payload) : EMPTY_SHA256);
+    if (payload) requestHeaders['content-length'] = payload.length;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: baseUrl.protocol,
+        hostname: forcePathStyle ? baseUrl.hostname : `${bucket}.${baseUrl.hostname}`,
+        port: baseUrl.port || undefined,
+        method,
+        path: canonicalPath + (canonicalQuery ? `?${canonicalQuery}` : ''),
+        headers: requestHeaders
+      }, async (res) => {
+        try {
+          if (res.statusCode >= 300) {
+            const errorBody = (await readBody(res)).toString();
+            const code = res.statusCode === 404 ? 'ENOENT' : (xmlValue(errorBody, 'Code') || `HTTP${res.statusCode}`);
+            const message = xmlValue(errorBody, 'Message') || xmlValue(errorBody, 'Code') || `HTTP ${res.statusCode}`;
+            return reject(Object.assign(new Error(`S3 ${method} ${key || bucket} failed: ${message}`), { code, statusCode: res.statusCode }));
+          }
+          if (stream) return resolve({ statusCode: res.statusCode, headers: res.headers, stream: res });
+          const responseBody = await readBody(res);
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: responseBody.toString() });
+        } catch (err) {
+          reject(err);
+        }
+      });
+      req.on('error', reject);
+      req.end(payload || undefined);
+    });
+  }
+
+  return {
+    bucket,
+    request,
+
+    /**
+     * Check that the bucket exists and the credentials can access it
+     * @returns {Promise<void>}
+     */
+    async headBucket() {
+      await request('HEAD', '');
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @returns {Promise<{size: number, mtime: Date, etag: string, contentType: string|null}|null>} Object details, or null if missing
+     */
+    async headObject(key) {
+      try {
+        const { headers } = await request('HEAD', key);
+        return {
+          size: Number(headers['content-length']),
+          mtime: new Date(headers['last-modified']),
+          etag: headers.etag,
+          contentType: headers['content-type'] || null
+        };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {Buffer} body - Whole object content
+     * @param {Object} [headers] - e.g. content-type
+     */
+    async putObject(key, body, headers = {}) {
+      await request('PUT', key, { body, headers });
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {{start?: number, end?: number}} [range] - Inclusive byte range
+     * @returns {Promise<http.IncomingMessage>} Response stream of the object content
+     */
+    async getObjectStream(key, { start, end } = {}) {
+      const headers = {};
+      if (start !== undefined || end !== undefined) {
+        headers.range = `bytes=${start || 0}-${end === undefined ? '' : end}`;
+      }
+      const { stream } = await request('GET', key, { headers, stream: true });
+      return stream;
+    },
+
+    /**
+     * Copy an object within the bucket without downloading it (CopyObject, objects up to 5GB)
+     * @param {string} sourceKey - Object to copy
+     * @param {string} key - Key of the copy, replaced if it exists
+     */
+    async copyObject(sourceKey, key) {
+      const { body } = await request('PUT', key, { headers: { 'x-amz-copy-source': copySource(sourceKey) } });
+      // Like completion, a copy can fail after S3 answered 200
+      if (xmlValue(body, 'Code')) {
+        throw new Error(`S3 failed to copy ${sourceKey} to ${key}: ${xmlValue(body, 'Message') || xmlValue(body, 'Code')}`);
+      }
+    },
+
+    /**
+     * @param {string} key - Object key, deleting a missing key is not an error
+     */
+    async deleteObject(key) {
+      await request('DELETE', key);
+    },
+
+    /**
+     * List one page of keys (ListObjectsV2)
+     * @param {Object} options
+     * @param {string} [options.prefix] - Only keys starting with this
+     * @param {string} [options.delimiter] - Group keys below this separator into commonPrefixes
+     * @param {string} [options.continuationToken] - From the previous page
+     * @param {number} [options.maxKeys] - Page size
+     * @returns {Promise<{objects: Array<{key: string, size: number, mtime: Date}>, commonPrefixes: string[], nextContinuationToken: string|null}>}
+     */
+    async listObjects({ prefix = '', delimiter, continuationToken, maxKeys } = {}) {
+      const query = { 'list-type': '2', prefix };
+      if (delimiter) query.delimiter = delimiter;
+      if (continuationToken) query['continuation-token'] = continuationToken;
+      if (maxKeys) query['max-keys'] = String(maxKeys);
+      const { body } = await request('GET', '', { query });
+      return {
+        objects: xmlElements(body, 'Contents').map(entry => ({
+          key: xmlValue(entry, 'Key'),
+          size: Number(xmlValue(entry, 'Size')),
+          mtime: new Date(xmlValue(entry, 'LastModified'))
+        })),
+        commonPrefixes: xmlElements(body, 'CommonPrefixes').map(entry => xmlValue(entry, 'Prefix')),
+        nextContinuationToken: xmlValue(body, 'IsTruncated') === 'true' ? xmlValue(body, 'NextContinuationToken') : null
+      };
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {Object} [headers] - e.g. content-type of the finished object
+     * @returns {Promise<string>} Upload ID
+     */
+    async createMultipartUpload(key, headers = {}) {
+      const { body } = await request('POST', key, { query: { uploads: '' }, headers });
+      const uploadId = xmlValue(body, 'UploadId');
+      if (!uploadId) throw new Error(`S3 did not return an upload ID for ${key}`);
+      return uploadId;
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {number} partNumber - 1 to 10000
+     * @param {Buffer} body - Part content, at least 5MB except for the last part
+     * @returns {Promise<string>} ETag of the part, needed to complete the upload
+     */
+    async uploadPart(key, uploadId, partNumber, body) {
+      const { headers } = await request('PUT', key, { query: { partNumber: String(partNumber), uploadId }, body });
+      return headers.etag;
+    },
+
+    /**
+     * Fill a part with a byte range of an existing object (UploadPartCopy), for copies larger than 5GB
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {number} partNumber - 1 to 10000
+     * @param {string} sourceKey - Object to copy from
+     * @param {{start: number, end: number}} range - Inclusive byte range of the source
+     * @returns {Promise<string>} ETag of the part, needed to complete the upload
+     */
+    async uploadPartCopy(key, uploadId, partNumber, sourceKey, { start, end }) {
+      const { body } = await request('PUT', key, {
+        query: { partNumber: String(partNumber), uploadId },
+        headers: { 'x-amz-copy-source': copySource(sourceKey), 'x-amz-copy-source-range': `bytes=${start}-${end}` }
+      });
+      const etag = xmlValue(body, 'ETag');
+      if (!etag) throw new Error(`S3 did not return an ETag for part ${partNumber} of ${key}`);
+      return etag;
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     * @param {Array<{partNumber: number, etag: string}>} parts - Uploaded parts in order
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+      const body = '<CompleteMultipartUpload>' +
+        parts.map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${etag.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>';
+      const response = await request('POST', key, { query: { uploadId }, body, headers: { 'content-type': 'application/xml' } });
+      // S3 may report a failed completion with status 200 and an error document
+      if (xmlValue(response.body, 'Code')) {
+        throw new Error(`S3 failed to complete upload of ${key}: ${xmlValue(response.body, 'Message') || xmlValue(response.body, 'Code')}`);
+      }
+    },
+
+    /**
+     * @param {string} key - Object key
+     * @param {string} uploadId - From createMultipartUpload
+     */
+    async abortMultipartUpload(key, uploadId) {
+      await request('DELETE', key, { query: { uploadId } });
+    }
+  };
+}
+
+module.exports = {
+  createS3Client
+};
@@ -0,0 +1,190 @@
+/**
+ * S3-compatible storage adapter for AWS S3, MinIO or Garage.
+ * Uploads are received and verified in a local staging folder, then written to the bucket,
+ * as a multipart upload when they are larger than one part. Folders are key prefixes.
+ * Implements the StorageAdapter interface documented in ./index.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const logger = require('../utils/logger');
+const { createS3Client } = require('./s3Client');
+
+const STAGING_DIR = path.join(config.uploadDir, '.metadata', 'staging');
+const PART_SIZE = 16 * 1024 * 1024; // 16MB, S3 allows 5MB to 5GB and at most 10000 parts
+const MAX_PARTS = 10000;
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024; // Larger objects can only be copied in parts
+
+let client = null;
+function getClient() {
+  if (!client) {
+    client = createS3Client({
+      endpoint: config.s3Endpoint,
+      region: config.s3Region,
+      bucket: config.s3Bucket,
+      accessKeyId: config.s3AccessKeyId,
+      secretAccessKey: config.s3SecretAccessKey,
+      forcePathStyle: config.s3ForcePathStyle
+    });
+  }
+  return client;
+}
+
+function toPrefix(key) {
+  const trimmed = key.replace(/^\/+|\/+$/g, '');
+  return trimmed ? `${trimmed}/` : '';
+}
+
+async function init() {
+  await fs.promises.mkdir(STAGING_DIR, { recursive: true });
+  await getClient().headBucket();
+  logger.info(`Storing uploads in bucket ${config.s3Bucket} at ${config.s3Endpoint}`);
+}
+
+// Staged uploads are named by session, the bucket decides nothing about local folders
+function getStagingPath(filePath, uploadId) {
+  return path.join(STAGING_DIR, `${uploadId}.partial`);
+}
+
+async function uploadParts(fileHandle, key, size, headers) {
+  const s3 = getClient();
+  const partSize = Math.max(PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const uploadId = await s3.createMultipartUpload(key, headers);
+  try {
+    const parts = [];
+    for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+      const buffer = Buffer.alloc(Math.min(partSize, size - offset));
+      const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, offset);
+      if (bytesRead !== buffer.length) throw new Error(`Staged file for ${key} is shorter than ${size} bytes`);
+      const etag = await s3.uploadPart(key, uploadId, partNumber, buffer);
+      parts.push({ partNumber, etag });
+      logger.debug(`Uploaded part ${partNumber} of ${key} (${offset + buffer.length}/${size} bytes)`);
+    }
+    await s3.completeMultipartUpload(key, uploadId, parts);
+  } catch (err) {
+    await s3.abortMultipartUpload(key, uploadId).catch(abortErr => {
+      logger.warn(`Failed to abort multipart upload of ${key}: ${abortErr.message}`);
+    });
+    throw err;
+  }
+}
+
+async function storeFile(sourcePath, key, { contentType } = {}) {
+  const fileHandle = await fs.promises.open(sourcePath, 'r');
+  try {
+    const { size } = await fileHandle.stat();
+    const headers = contentType ? { 'content-type': contentType } : {};
+    if (size <= PART_SIZE) {
+      await getClient().putObject(key, await fileHandle.readFile(), headers);
+    } else {
+      await uploadParts(fileHandle, key, size, headers);
+    }
+  } finally {
+    await fileHandle.close();
+  }
+  await fs.promises.unlink(sourcePath);
+  return { deduplicated: false };
+}
+
+async function stat(key) {
+  if (!key) return { size: 0, mtime: null, isDirectory: true };
+  const object = await getClient().headObject(key);
+  if (object) return { size: object.size, mtime: object.mtime, isDirectory: false };
+  // A folder exists as long as any key lies below it
+  const { objects, commonPrefixes } = await getClient().listObjects({ prefix: toPrefix(key), delimiter: '/', maxKeys: 1 });
+  return objects.length > 0 || commonPrefixes.length > 0 ? { size: 0, mtime: null, isDirectory: true } : null;
+}
+
+async function list(prefix = '', { recursive = false } = {}) {
+  const entries = [];
+  let continuationToken;
+  do {
+    const page = await getClient().listObjects({
+      prefix: toPrefix(prefix),
+      delimiter: recursive ? undefined : '/',
+      continuationToken
+    });
+    for (const object of page.objects) {
+      if (object.key.endsWith('/')) continue; // Folder placeholder objects created by other tools
+      entries.push({ key: object.key, size: object.size, mtime: object.mtime, isDirectory: false });
+    }
+    for (const commonPrefix of page.commonPrefixes) {
+      entries.push({ key: commonPrefix.replace(/\/$/, ''), size: 0, mtime: null, isDirectory: true });
+    }
+    continuationToken = page.nextContinuationToken;
+  } while (continuationToken);
+  return entries;
+}
+
+function createReadStream(key, range = {}) {
+  return getClient().getObjectStream(key, range);
+}
+
+async function deleteFile(key) {
+  // S3 deletes missing keys without complaint, callers expect ENOENT like unlink
+  if (!await getClient().headObject(key)) {
+    throw Object.assign(new Error(`No such object: ${key}`), { code: 'ENOENT' });
+  }
+  await getClient().deleteObject(key);
+}
+
+// Objects are copied inside the bucket, never through DumbDrop
+async function copyFile(sourceKey, key) {
+  const s3 = getClient();
+  const object = await s3.headObject(sourceKey);
+  if (!object) {
+    throw Object.assign(new Error(`No such object: ${sourceKey}`), { code: 'ENOENT' });
+  }
+  if (object.size <= MAX_COPY_SIZE) {
+    await s3.copyObject(sourceKey, key);
+    return;
+  }
+
+  const partSize = Math.max(PART_SIZE, Math.ceil(object.size / MAX_PARTS));
+  const uploadId = await s3.createMultipartUpload(key, object.contentType ? { 'content-type': object.contentType } : {});
+  try {
+    const parts = [];
+    for (let start = 0, partNumber = 1; start < object.size; start += partSize, partNumber++) {
+      const end = Math.min(start + partSize, object.size) - 1;
+      parts.push({ partNumber, etag: await s3.uploadPartCopy(key, uploadId, partNumber, sourceKey, { start, end }) });
+    }
+    await s3.completeMultipartUpload(key, uploadId, parts);
+  } catch (err) {
+    await s3.abortMultipartUpload(key, uploadId).catch(abortErr => {
+      logger.warn(`Failed to abort multipart copy to ${key}: ${abortErr.message}`);
+    });
+    throw err;
+  }
+}
+
+// S3 has no rename: the object is copied and the original deleted
+async function moveFile(sourceKey, key) {
+  await copyFile(sourceKey, key);
+  await getClient().deleteObject(sourceKey);
+}
+
+// Folders can't be created ahead of their files, so a free name is claimed by the first file stored below it
+async function reserveFolder(key) {
+  return !await stat(key);
+}
+
+async function getUsedBytes() {
+  const objects = await list('', { recursive: true });
+  return objects.reduce((sum, object) => sum + object.size, 0);
+}
+
+module.exports = {
+  name: 's3',
+  init,
+  getStagingPath,
+  storeFile,
+  stat,
+  list,
+  createReadStream,
+  delete: deleteFile,
+  move: moveFile,
+  copy: copyFile,
+  reserveFolder,
+  getUsedBytes
+};
@@ -0,0 +1,250 @@
+/**
+ * Streaming ZIP and tar writers for archive downloads.
+ * Entries are written one after another while their content is read, without temporary files
+ * or compression. ZIP64 records are added once sizes, offsets or the entry count outgrow ZIP's
+ * 32-bit fields; tar uses PAX headers for long or non-ASCII names and very large files.
+ */
+
+const { Readable } = require('stream');
+
+const ARCHIVE_FORMATS = ['zip', 'tar'];
+
+const ZIP32_LIMIT = 0xffffffff;
+const ZIP_ENTRY_LIMIT = 0xffff;
+const ZIP_VERSION = 20;
+const ZIP64_VERSION = 45;
+const ZIP_MADE_BY_UNIX = 3 << 8;
+const ZIP_FLAGS = 0x0808; // Sizes and CRC follow the data in a descriptor; names are UTF-8
+const ZIP_FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+
+const TAR_BLOCK = 512;
+const TAR_MAX_SIZE = 0o77777777777; // Largest size that fits the 11 octal digits of a ustar header
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name - Path inside the archive, with forward slashes
+ * @property {number} size - Size of the content in bytes
+ * @property {Date|null} mtime - Modification time
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function updateCrc32(crc, buffer) {
+  let c = crc ^ -1;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+// MS-DOS date and time as stored in ZIP headers (local time, two-second resolution, from 1980)
+function toDosDateTime(date) {
+  const d = date && date.getFullYear() >= 1980 ? date : new Date(1980, 0, 1);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+// Read an entry's content, failing if it doesn't match the size announced for it
+async function* readEntry(entry, openEntry) {
+  let bytesRead = 0;
+  for await (const chunk of await openEntry(entry)) {
+    bytesRead += chunk.length;
+    if (bytesRead > entry.size) break;
+    yield chunk;
+  }
+  if (bytesRead !== entry.size) {
+    throw new Error(`${entry.name} changed while it was archived (expected ${entry.size} bytes)`);
+  }
+}
+
+async function* generateZip(entries, openEntry) {
+  const centralRecords = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const { time, date } = toDosDateTime(entry.mtime);
+    const zip64 = entry.size >= ZIP32_LIMIT;
+    const headerOffset = offset;
+
+    // Local header: CRC and sizes are only known once the data is written, see the descriptor
+    const extra = zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(16, 2); // Sizes follow in the descriptor, so both are zero here
+    }
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(zip64 ? ZIP64_VERSION : ZIP_VERSION, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(0, 8); // Stored, no compression
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(0, 14);
+    header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 18);
+    header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    yield Buffer.concat([header, name, extra]);
+    offset += header.length + name.length + extra.length;
+
+    let crc = 0;
+    for await (const chunk of readEntry(entry, openEntry)) {
+      crc = updateCrc32(crc, chunk);
+      yield chunk;
+    }
+    offset += entry.size;
+
+    const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    if (zip64) {
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor.writeUInt32LE(entry.size, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    yield descriptor;
+    offset += descriptor.length;
+
+    centralRecords.push({ name, time, date, crc, size: entry.size, headerOffset });
+  }
+
+  // Central directory, with ZIP64 extra fields for values that don't fit
+  const centralOffset = offset;
+  for (const record of centralRecords) {
+    const largeValues = [];
+    if (record.size >= ZIP32_LIMIT) largeValues.push(record.size, record.size);
+    if (record.headerOffset >= ZIP32_LIMIT) largeValues.push(record.headerOffset);
+    const extra = Buffer.alloc(largeValues.length > 0 ? 4 + largeValues.length * 8 : 0);
+    if (largeValues.length > 0) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(largeValues.length * 8, 2);
+      largeValues.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+    }
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(ZIP_MADE_BY_UNIX | ZIP64_VERSION, 4);
+    header.writeUInt16LE(largeValues.length > 0 ? ZIP64_VERSION : ZIP_VERSION, 6);
+    header.writeUInt16LE(ZIP_FLAGS, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(record.time, 12);
+    header.writeUInt16LE(record.date, 14);
+    header.writeUInt32LE(record.crc, 16);
+    header.writeUInt32LE(Math.min(record.size, ZIP32_LIMIT), 20);
+    header.writeUInt32LE(Math.min(record.size, ZIP32_LIMIT), 24);
+    header.writeUInt16LE(record.name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE(ZIP_FILE_ATTRIBUTES, 38);
+    header.writeUInt32LE(Math.min(record.headerOffset, ZIP32_LIMIT), 42);
+    yield Buffer.concat([header, record.name, extra]);
+    offset += header.length + record.name.length + extra.length;
+  }
+  const centralSize = offset - centralOffset;
+
+  const count = centralRecords.length;
+  if (count >= ZIP_ENTRY_LIMIT || centralOffset >= ZIP32_LIMIT || centralSize >= ZIP32_LIMIT) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(44n, 4); // Size of the rest of the record
+    zip64End.writeUInt16LE(ZIP_MADE_BY_UNIX | ZIP64_VERSION, 12);
+    zip64End.writeUInt16LE(ZIP64_VERSION, 14);
+    zip64End.writeBigUInt64LE(BigInt(count), 24);
+    zip64End.writeBigUInt64LE(BigInt(count), 32);
+    zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+    zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset), 8);
+    locator.writeUInt32LE(1, 16);
+    yield Buffer.concat([zip64End, locator]);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, ZIP_ENTRY_LIMIT), 8);
+  end.writeUInt16LE(Math.min(count, ZIP_ENTRY_LIMIT), 10);
+  end.writeUInt32LE(Math.min(centralSize, ZIP32_LIMIT), 12);
+  end.writeUInt32LE(Math.min(centralOffset, ZIP32_LIMIT), 16);
+  yield end;
+}
+
+// PAX records are "<length> <key>=<value>\n", where the length counts itself
+function createPaxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length > String(bodyLength).length) length++;
+  return `${length}${body}`;
+}
+
+function createTarHeader(name, size, mtime, type) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${Math.min(size, TAR_MAX_SIZE).toString(8).padStart(11, '0')}\0`, 124);
+  header.write(`${Math.floor((mtime ? mtime.getTime() : 0) / 1000).toString(8).padStart(11, '0')}\0`, 136);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.fill(' ', 148, 156); // The checksum is computed with its own field as spaces
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+function getTarPadding(size) {
+  return Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+}
+
+async function* generateTar(entries, openEntry) {
+  for (const entry of entries) {
+    const nameBytes = Buffer.byteLength(entry.name);
+    const needsPaxName = nameBytes > 100 || nameBytes !== entry.name.length;
+    const needsPaxSize = entry.size > TAR_MAX_SIZE;
+    if (needsPaxName || needsPaxSize) {
+      const pax = Buffer.from(
+        (needsPaxName ? createPaxRecord('path', entry.name) : '') +
+        (needsPaxSize ? createPaxRecord('size', entry.size) : ''),
+        'utf8'
+      );
+      yield createTarHeader('PaxHeader', pax.length, entry.mtime, 'x');
+      yield pax;
+      yield getTarPadding(pax.length);
+    }
+    // The name field still gets as much of the name as fits, for readers without PAX support
+    yield createTarHeader(entry.name, entry.size, entry.mtime, '0');
+    yield* readEntry(entry, openEntry);
+    yield getTarPadding(entry.size);
+  }
+  yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+/**
+ * Stream an archive of the given entries, reading each entry's content only when it is reached.
+ * Destroying the stream, e.g. when the client disconnects, stops reading and closes the current entry.
+ * @param {string} format - One of ARCHIVE_FORMATS
+ * @param {ArchiveEntry[]} entries - Files to include, in order
+ * @param {(entry: ArchiveEntry) => Promise<import('stream').Readable>} openEntry - Reads an entry's content
+ * @returns {import('stream').Readable} The archive; errors if an entry can't be read or its size changed
+ */
+function createArchiveStream(format, entries, openEntry) {
+  const generate = format === 'tar' ? generateTar : generateZip;
+  return Readable.from(generate(entries, openEntry), { objectMode: false });
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  createArchiveStream
+};
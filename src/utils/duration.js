@@ -0,0 +1,28 @@
+/**
+ * Parsing of human-readable durations such as "12h" or "30d".
+ * Used for retention settings in the environment and for expiry chosen by uploaders.
+ */
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration made of a positive number and a unit: s, m, h, d or w. A bare number is in days.
+ * @param {string|number} value - Duration, e.g. "90m", "12h", "30d", "2w" or 7
+ * @returns {number|null} Duration in milliseconds, or null if the value is not a valid duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value).trim());
+  if (!match) return null;
+  const duration = Number(match[1]) * UNITS[(match[2] || 'd').toLowerCase()];
+  return duration > 0 && Number.isFinite(duration) ? Math.round(duration) : null;
+}
+
+module.exports = {
+  parseDuration
+};
@@ -0,0 +1,330 @@
+/**
+ * Encrypted file format for uploads stored at rest.
+ * Content is split into fixed-size segments, each sealed with AES-256-GCM under a per-file key
+ * derived from the server secret. Segments carry their own random nonce and are bound to the
+ * file header, their index and whether they are the last one, so segments can be decrypted
+ * independently (for ranges) while reordering or truncation is detected.
+ *
+ * Layout: header (magic, segment size, salt) followed by segments of nonce | ciphertext | tag.
+ * Kept free of app configuration so the offline decrypt tool can use it too.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable, Transform } = require('stream');
+
+const MAGIC = Buffer.from('DUMBENC1');
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 4 + SALT_LENGTH;
+const SEGMENT_OVERHEAD = NONCE_LENGTH + TAG_LENGTH;
+const SEGMENT_SIZE = 64 * 1024; // Plaintext bytes per segment
+const KEY_INFO = 'dumbdrop file encryption v1';
+
+/**
+ * Create the header of a new encrypted file, with a fresh salt
+ * @param {number} [segmentSize] - Plaintext bytes per segment
+ * @returns {Buffer} Header bytes
+ */
+function createHeader(segmentSize = SEGMENT_SIZE) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(segmentSize, MAGIC.length);
+  crypto.randomBytes(SALT_LENGTH).copy(header, MAGIC.length + 4);
+  return header;
+}
+
+/**
+ * Whether a buffer starts with the encrypted file magic
+ * @param {Buffer} buffer - First bytes of a file
+ * @returns {boolean}
+ */
+function isEncryptedHeader(buffer) {
+  return buffer.length >= HEADER_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Read the header of an encrypted file and derive its key
+ * @param {Buffer} buffer - At least the first HEADER_LENGTH bytes of the file
+ * @param {string|Buffer} secret - Server secret (ENCRYPTION_KEY)
+ * @returns {{header: Buffer, segmentSize: number, key: Buffer}}
+ * @throws {Error} If the buffer is not an encrypted file header
+ */
+function openHeader(buffer, secret) {
+  if (!isEncryptedHeader(buffer)) {
+    throw new Error('Not an encrypted DumbDrop file');
+  }
+  const header = Buffer.from(buffer.subarray(0, HEADER_LENGTH));
+  const segmentSize = header.readUInt32BE(MAGIC.length);
+  const salt = header.subarray(MAGIC.length + 4);
+  const key = Buffer.from(crypto.hkdfSync('sha256', Buffer.from(secret), salt, KEY_INFO, 32));
+  return { header, segmentSize, key };
+}
+
+function segmentAad(header, index, isLast) {
+  const aad = Buffer.alloc(HEADER_LENGTH + 5);
+  header.copy(aad, 0);
+  aad.writeUInt32BE(index, HEADER_LENGTH);
+  aad[HEADER_LENGTH + 4] = isLast ? 1 : 0;
+  return aad;
+}
+
+function fragmentAad(header, offset) {
+  const aad = Buffer.alloc(HEADER_LENGTH + 9);
+  header.copy(aad, 0);
+  aad[HEADER_LENGTH] = 0x46; // 'F', keeps fragments apart from segments
+  aad.writeBigUInt64BE(BigInt(offset), HEADER_LENGTH + 1);
+  return aad;
+}
+
+function seal(key, aad, plaintext) {
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(aad);
+  return Buffer.concat([nonce, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function unseal(key, aad, sealed) {
+  if (sealed.length < SEGMENT_OVERHEAD) throw new Error('Encrypted data is truncated');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, NONCE_LENGTH));
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(NONCE_LENGTH, sealed.length - TAG_LENGTH)), decipher.final()]);
+  } catch (err) {
+    throw new Error('Failed to decrypt: wrong ENCRYPTION_KEY or corrupted file');
+  }
+}
+
+/**
+ * Encrypt one segment
+ * @param {{header: Buffer, key: Buffer}} file - From openHeader
+ * @param {number} index - Segment number, from 0
+ * @param {boolean} isLast - Whether this is the file's last segment
+ * @param {Buffer} plaintext - Segment content, segmentSize bytes unless last
+ * @returns {Buffer} Sealed segment
+ */
+function encryptSegment({ header, key }, index, isLast, plaintext) {
+  return seal(key, segmentAad(header, index, isLast), plaintext);
+}
+
+/**
+ * Decrypt one segment
+ * @param {{header: Buffer, key: Buffer}} file - From openHeader
+ * @param {number} index - Segment number, from 0
+ * @param {boolean} isLast - Whether this is the file's last segment
+ * @param {Buffer} sealed - Sealed segment
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the segment fails authentication
+ */
+function decryptSegment({ header, key }, index, isLast, sealed) {
+  return unseal(key, segmentAad(header, index, isLast), sealed);
+}
+
+/**
+ * Encrypt bytes that don't fill a segment yet, bound to their file offset
+ * @param {{header: Buffer, key: Buffer}} file - From openHeader
+ * @param {number} offset - File offset of the first byte
+ * @param {Buffer} plaintext - Bytes to seal
+ * @returns {Buffer} Sealed fragment
+ */
+function encryptFragment({ header, key }, offset, plaintext) {
+  return seal(key, fragmentAad(header, offset), plaintext);
+}
+
+/**
+ * @param {{header: Buffer, key: Buffer}} file - From openHeader
+ * @param {number} offset - File offset the fragment was sealed for
+ * @param {Buffer} sealed - Sealed fragment
+ * @returns {Buffer} Plaintext
+ */
+function decryptFragment({ header, key }, offset, sealed) {
+  return unseal(key, fragmentAad(header, offset), sealed);
+}
+
+/**
+ * Number of segments holding a file of the given plaintext size (an empty file has one empty segment)
+ * @param {number} plaintextSize - Size in bytes
+ * @param {number} [segmentSize]
+ * @returns {number}
+ */
+function getSegmentCount(plaintextSize, segmentSize = SEGMENT_SIZE) {
+  return Math.max(1, Math.ceil(plaintextSize / segmentSize));
+}
+
+/**
+ * File offset of a sealed segment
+ * @param {number} index - Segment number
+ * @param {number} [segmentSize]
+ * @returns {number}
+ */
+function getSegmentPosition(index, segmentSize = SEGMENT_SIZE) {
+  return HEADER_LENGTH + index * (segmentSize + SEGMENT_OVERHEAD);
+}
+
+/**
+ * @param {number} plaintextSize - Size in bytes
+ * @param {number} [segmentSize]
+ * @returns {number} Size of the encrypted file
+ */
+function getEncryptedSize(plaintextSize, segmentSize = SEGMENT_SIZE) {
+  return HEADER_LENGTH + plaintextSize + getSegmentCount(plaintextSize, segmentSize) * SEGMENT_OVERHEAD;
+}
+
+/**
+ * @param {number} encryptedSize - Size of the encrypted file
+ * @param {number} [segmentSize]
+ * @returns {number} Size of its plaintext
+ */
+function getPlaintextSize(encryptedSize, segmentSize = SEGMENT_SIZE) {
+  const body = encryptedSize - HEADER_LENGTH;
+  if (body < SEGMENT_OVERHEAD) return 0;
+  return body - Math.ceil(body / (segmentSize + SEGMENT_OVERHEAD)) * SEGMENT_OVERHEAD;
+}
+
+/**
+ * Encrypt a whole buffer, e.g. an empty file
+ * @param {string|Buffer} secret - Server secret
+ * @param {Buffer} plaintext - Content
+ * @returns {Buffer} Encrypted file
+ */
+function encryptBuffer(secret, plaintext) {
+  const file = openHeader(createHeader(), secret);
+  const parts = [file.header];
+  const count = getSegmentCount(plaintext.length, file.segmentSize);
+  for (let index = 0; index < count; index++) {
+    const segment = plaintext.subarray(index * file.segmentSize, (index + 1) * file.segmentSize);
+    parts.push(encryptSegment(file, index, index === count - 1, segment));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Transform stream that encrypts content of unknown length.
+ * The last segment is only known at the end, so one segment is held back until then.
+ * @param {string|Buffer} secret - Server secret
+ * @returns {Transform}
+ */
+function createEncryptStream(secret) {
+  const file = openHeader(createHeader(), secret);
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let headerSent = false;
+  const sendHeader = (stream) => {
+    if (!headerSent) stream.push(file.header);
+    headerSent = true;
+  };
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      sendHeader(this);
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      while (pending.length > file.segmentSize) {
+        this.push(encryptSegment(file, index++, false, pending.subarray(0, file.segmentSize)));
+        pending = pending.subarray(file.segmentSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      sendHeader(this);
+      this.push(encryptSegment(file, index, true, pending));
+      callback();
+    }
+  });
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decrypt an encrypted file, or a byte range of its plaintext, reading only the segments involved
+ * @param {(start: number, end: number) => Promise<import('stream').Readable>} readRange - Reads an inclusive byte range of the encrypted file
+ * @param {number} encryptedSize - Size of the encrypted file
+ * @param {string|Buffer} secret - Server secret
+ * @param {{start?: number, end?: number}} [range] - Inclusive plaintext range, the whole file by default
+ * @returns {Promise<Readable>} Plaintext stream; it errors if a segment fails authentication
+ */
+async function createDecryptStream(readRange, encryptedSize, secret, { start, end } = {}) {
+  const file = openHeader(await readAll(await readRange(0, HEADER_LENGTH - 1)), secret);
+  const { segmentSize } = file;
+  const plaintextSize = getPlaintextSize(encryptedSize, segmentSize);
+  const lastIndex = getSegmentCount(plaintextSize, segmentSize) - 1;
+  const rangeStart = start === undefined ? 0 : start;
+  const rangeEnd = end === undefined ? plaintextSize - 1 : Math.min(end, plaintextSize - 1);
+  const firstSegment = Math.floor(rangeStart / segmentSize);
+  const lastSegment = Math.max(firstSegment, Math.floor(Math.max(rangeEnd, 0) / segmentSize));
+  const sealedLength = (index) => index === lastIndex ?
+    encryptedSize - getSegmentPosition(index, segmentSize) :
+    segmentSize + SEGMENT_OVERHEAD;
+
+  async function* decryptSegments() {
+    const source = await readRange(
+      getSegmentPosition(firstSegment, segmentSize),
+      Math.min(getSegmentPosition(lastSegment + 1, segmentSize), encryptedSize) - 1
+    );
+    let chunks = [];
+    let buffered = 0;
+    let index = firstSegment;
+    try {
+      for await (const chunk of source) {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        while (index <= lastSegment && buffered >= sealedLength(index)) {
+          const data = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+          const length = sealedLength(index);
+          const plaintext = decryptSegment(file, index, index === lastIndex, data.subarray(0, length));
+          chunks = [data.subarray(length)];
+          buffered -= length;
+          const segmentStart = index * segmentSize;
+          const slice = plaintext.subarray(Math.max(rangeStart - segmentStart, 0), Math.max(rangeEnd + 1 - segmentStart, 0));
+          if (slice.length > 0) yield slice;
+          index++;
+        }
+      }
+    } finally {
+      source.destroy();
+    }
+    if (index <= lastSegment) throw new Error('Encrypted file is truncated');
+  }
+
+  return Readable.from(decryptSegments(), { objectMode: false });
+}
+
+/**
+ * Decrypt a local encrypted file, or a byte range of its plaintext
+ * @param {string} filePath - Encrypted file
+ * @param {string|Buffer} secret - Server secret
+ * @param {Object} [options]
+ * @param {number} [options.encryptedSize] - Size the file has once complete, read from disk if omitted
+ * @param {number} [options.start] - First plaintext byte
+ * @param {number} [options.end] - Last plaintext byte (inclusive)
+ * @returns {Promise<Readable>} Plaintext stream
+ */
+async function decryptFile(filePath, secret, { encryptedSize, start, end } = {}) {
+  const size = encryptedSize === undefined ? (await fs.promises.stat(filePath)).size : encryptedSize;
+  const readRange = async (from, to) => fs.createReadStream(filePath, { start: from, end: to });
+  return createDecryptStream(readRange, size, secret, { start, end });
+}
+
+module.exports = {
+  HEADER_LENGTH,
+  SEGMENT_SIZE,
+  createHeader,
+  isEncryptedHeader,
+  openHeader,
+  encryptSegment,
+  decryptSegment,
+  encryptFragment,
+  decryptFragment,
+  encryptBuffer,
+  getSegmentCount,
+  getSegmentPosition,
+  getEncryptedSize,
+  getPlaintextSize,
+  createEncryptStream,
+  createDecryptStream,
+  decryptFile
+};
@@ -0,0 +1,134 @@
+/**
+ * File type detection from magic bytes.
+ * Matches the first bytes of a file against a table of known signatures, so the real
+ * type of an upload can be checked against its extension and ALLOWED_EXTENSIONS.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Bytes read from the start of a file; enough for the tar header at offset 257
+const SIGNATURE_LENGTH = 512;
+
+const ZIP_EXTENSIONS = ['.zip', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub', '.jar', '.apk', '.ipa', '.xpi', '.cbz', '.kmz', '.3mf', '.vsix', '.whl', '.nupkg'];
+const ISO_MEDIA_EXTENSIONS = ['.mp4', '.m4v', '.m4a', '.m4b', '.mov', '.3gp', '.3g2', '.heic', '.heif', '.avif'];
+// Password-protected Office Open XML documents are stored in an OLE container
+const OLE_EXTENSIONS = ['.doc', '.xls', '.ppt', '.msi', '.msg', '.docx', '.xlsx', '.pptx'];
+
+// Extensions that are also used for content without a signature (e.g. HTML saved as .doc, MP3 after junk bytes),
+// so they are only rejected when some other type is detected
+const LOOSE_EXTENSIONS = ['.doc', '.xls', '.ppt', '.mp3'];
+
+/**
+ * Known signatures, most specific first. Every pattern is an [offset, bytes] pair that must match;
+ * `extensions` lists every extension a file of that type may legitimately carry.
+ */
+const SIGNATURES = [
+  { mime: 'image/jpeg', extensions: ['.jpg', '.jpeg', '.jpe', '.jfif'], patterns: [[0, [0xFF, 0xD8, 0xFF]]] },
+  { mime: 'image/png', extensions: ['.png', '.apng'], patterns: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]] },
+  { mime: 'image/gif', extensions: ['.gif'], patterns: [[0, 'GIF87a']] },
+  { mime: 'image/gif', extensions: ['.gif'], patterns: [[0, 'GIF89a']] },
+  { mime: 'image/webp', extensions: ['.webp'], patterns: [[0, 'RIFF'], [8, 'WEBP']] },
+  { mime: 'image/bmp', extensions: ['.bmp', '.dib'], patterns: [[0, 'BM'], [6, [0x00, 0x00, 0x00, 0x00]]] },
+  { mime: 'image/tiff', extensions: ['.tif', '.tiff', '.dng', '.nef', '.cr2', '.arw'], patterns: [[0, [0x49, 0x49, 0x2A, 0x00]]] },
+  { mime: 'image/tiff', extensions: ['.tif', '.tiff', '.dng', '.nef', '.cr2', '.arw'], patterns: [[0, [0x4D, 0x4D, 0x00, 0x2A]]] },
+  { mime: 'image/x-icon', extensions: ['.ico'], patterns: [[0, [0x00, 0x00, 0x01, 0x00]]] },
+  { mime: 'image/vnd.adobe.photoshop', extensions: ['.psd'], patterns: [[0, '8BPS']] },
+  { mime: 'image/heic', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftypheic']] },
+  { mime: 'image/heif', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftypmif1']] },
+  { mime: 'image/avif', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftypavif']] },
+  { mime: 'video/quicktime', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftypqt  ']] },
+  { mime: 'audio/mp4', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftypM4A ']] },
+  { mime: 'video/mp4', extensions: ISO_MEDIA_EXTENSIONS, patterns: [[4, 'ftyp']] },
+  { mime: 'video/webm', extensions: ['.webm', '.mkv', '.mka', '.mk3d'], patterns: [[0, [0x1A, 0x45, 0xDF, 0xA3]]] },
+  { mime: 'video/x-msvideo', extensions: ['.avi'], patterns: [[0, 'RIFF'], [8, 'AVI ']] },
+  { mime: 'audio/wav', extensions: ['.wav'], patterns: [[0, 'RIFF'], [8, 'WAVE']] },
+  { mime: 'audio/ogg', extensions: ['.ogg', '.oga', '.ogv', '.opus'], patterns: [[0, 'OggS']] },
+  { mime: 'audio/flac', extensions: ['.flac'], patterns: [[0, 'fLaC']] },
+  { mime: 'audio/mpeg', extensions: ['.mp3'], patterns: [[0, 'ID3']] },
+  { mime: 'audio/mpeg', extensions: ['.mp3'], patterns: [[0, [0xFF, 0xFB]]] },
+  { mime: 'audio/mpeg', extensions: ['.mp3'], patterns: [[0, [0xFF, 0xF3]]] },
+  { mime: 'audio/mpeg', extensions: ['.mp3'], patterns: [[0, [0xFF, 0xF2]]] },
+  { mime: 'application/pdf', extensions: ['.pdf'], patterns: [[0, '%PDF-']] },
+  { mime: 'application/zip', extensions: ZIP_EXTENSIONS, patterns: [[0, [0x50, 0x4B, 0x03, 0x04]]] },
+  { mime: 'application/zip', extensions: ZIP_EXTENSIONS, patterns: [[0, [0x50, 0x4B, 0x05, 0x06]]] },
+  { mime: 'application/x-ole-storage', extensions: OLE_EXTENSIONS, patterns: [[0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]]] },
+  { mime: 'application/gzip', extensions: ['.gz', '.tgz'], patterns: [[0, [0x1F, 0x8B]]] },
+  { mime: 'application/x-bzip2', extensions: ['.bz2', '.tbz2'], patterns: [[0, 'BZh']] },
+  { mime: 'application/x-xz', extensions: ['.xz', '.txz'], patterns: [[0, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]]] },
+  { mime: 'application/zstd', extensions: ['.zst'], patterns: [[0, [0x28, 0xB5, 0x2F, 0xFD]]] },
+  { mime: 'application/x-7z-compressed', extensions: ['.7z'], patterns: [[0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]]] },
+  { mime: 'application/vnd.rar', extensions: ['.rar'], patterns: [[0, 'Rar!']] },
+  { mime: 'application/x-tar', extensions: ['.tar'], patterns: [[257, 'ustar']] },
+  { mime: 'application/vnd.sqlite3', extensions: ['.sqlite', '.sqlite3'], patterns: [[0, 'SQLite format 3\0']] },
+  { mime: 'application/wasm', extensions: ['.wasm'], patterns: [[0, [0x00, 0x61, 0x73, 0x6D]]] },
+  { mime: 'application/vnd.microsoft.portable-executable', extensions: ['.exe', '.dll', '.scr', '.cpl', '.ocx', '.efi'], patterns: [[0, 'MZ']] },
+  { mime: 'application/x-executable', extensions: ['.elf', '.so'], patterns: [[0, [0x7F, 0x45, 0x4C, 0x46]]] },
+  { mime: 'application/x-mach-binary', extensions: ['.dylib'], patterns: [[0, [0xCF, 0xFA, 0xED, 0xFE]]] },
+  { mime: 'application/java-vm', extensions: ['.class'], patterns: [[0, [0xCA, 0xFE, 0xBA, 0xBE]]] }
+].map(signature => ({
+  ...signature,
+  patterns: signature.patterns.map(([offset, bytes]) => [offset, Buffer.from(bytes)])
+}));
+
+/**
+ * Detect a file type from its first bytes
+ * @param {Buffer} header - Start of the file, up to SIGNATURE_LENGTH bytes
+ * @returns {{mime: string, extensions: string[]}|null} Detected type, or null if no signature matches
+ */
+function detectFileType(header) {
+  const signature = SIGNATURES.find(({ patterns }) => patterns.every(([offset, bytes]) =>
+    header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes)
+  ));
+  return signature ? { mime: signature.mime, extensions: signature.extensions } : null;
+}
+
+/**
+ * Detect the type of a file on disk
+ * @param {string} filePath - File to inspect
+ * @returns {Promise<{mime: string, extensions: string[]}|null>} Detected type, or null if unknown
+ */
+async function detectFileTypeOfFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(SIGNATURE_LENGTH);
+    const { bytesRead } = await handle.read(header, 0, SIGNATURE_LENGTH, 0);
+    return detectFileType(header.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check a detected type against the file's extension and an extension allowlist.
+ * Only extensions with a known signature can be verified; other files with no known
+ * signature are accepted, leaving the allowlist's own extension check in charge.
+ * @param {string} filename - Name of the file as uploaded
+ * @param {{mime: string, extensions: string[]}|null} detectedType - Result of detectFileType
+ * @param {string[]|null} allowedExtensions - Lowercase extensions with leading dot, or null for any
+ * @returns {string|null} Why the content is rejected, or null if it is acceptable
+ */
+function checkFileType(filename, detectedType, allowedExtensions) {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (detectedType && allowedExtensions && !detectedType.extensions.some(ext => allowedExtensions.includes(ext))) {
+    return `File content is ${detectedType.mime}, which is not an allowed file type`;
+  }
+
+  const isVerifiable = SIGNATURES.some(signature => signature.extensions.includes(extension));
+  if (isVerifiable && detectedType && !detectedType.extensions.includes(extension)) {
+    return `File content is ${detectedType.mime}, which does not match its ${extension} extension`;
+  }
+  if (isVerifiable && !detectedType && !LOOSE_EXTENSIONS.includes(extension)) {
+    return `File content does not match its ${extension} extension`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  SIGNATURE_LENGTH,
+  detectFileType,
+  detectFileTypeOfFile,
+  checkFileType
+};
@@ -42,9 +42,10 @@ function formatFileSize(bytes, unit = null) {
 /**
  * Calculate total size of files in a directory recursively
  * @param {string} directoryPath - Path to directory
+ * @param {Set<string>} [seenInodes] - Files already counted, shared across the recursion
  * @returns {Promise<number>} Total size in bytes
  */
-async function calculateDirectorySize(directoryPath) {
+async function calculateDirectorySize(directoryPath, seenInodes = new Set()) {
   let totalSize = 0;
   try {
     const files = await fs.promises.readdir(directoryPath);
@@ -52,10 +53,14 @@ async function calculateDirectorySize(directoryPath) {
       const filePath = path.join(directoryPath, file);
       const stats = await fs.promises.stat(filePath);
       if (stats.isFile()) {
+        // Hardlinked (deduplicated) files occupy disk space only once
+        const inode = `${stats.dev}:${stats.ino}`;
+        if (seenInodes.has(inode)) return 0;
+        seenInodes.add(inode);
         return stats.size;
       } else if (stats.isDirectory()) {
         // Recursively calculate size for subdirectories
-        return await calculateDirectorySize(filePath);
+        return await calculateDirectorySize(filePath, seenInodes);
       }
       return 0;
     });
@@ -160,6 +165,43 @@ function sanitizePathPreserveDirs(filePath) {
     .join('/');
 }
 
+/**
+ * Check a client-supplied path to a stored file or folder
+ * @param {string} relativePath - Path relative to the upload directory, already URL-decoded
+ * @returns {string|null} The path as a storage key, or null if it is empty, has empty, `.` or `..` segments,
+ *   resolves outside the upload directory or names DumbDrop's metadata or an upload still being received
+ */
+function resolveStoredPath(relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) return null;
+  const segments = relativePath.replace(/\\/g, '/').split('/');
+  if (segments.some(segment => !segment || segment === '.' || segment === '..' || segment === '.metadata')) {
+    return null;
+  }
+  const key = segments.join('/');
+  if (key.endsWith('.partial')) return null;
+  const root = path.resolve(config.uploadDir);
+  return path.resolve(root, key).startsWith(root + path.sep) ? key : null;
+}
+
+/**
+ * Whether a storage key is DumbDrop's own metadata or an upload still being received, never shown or handled as a file
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isHiddenKey(key) {
+  return key.split('/').includes('.metadata') || key.endsWith('.partial');
+}
+
+/**
+ * Folder a storage key is in
+ * @param {string} key - Storage key
+ * @returns {string} Folder key, '' for the top level
+ */
+function getParentFolder(key) {
+  const separator = key.lastIndexOf('/');
+  return separator === -1 ? '' : key.slice(0, separator);
+}
+
 /**
  * Validate batch ID format
  * @param {string} batchId - Batch ID to validate
@@ -178,5 +220,8 @@ module.exports = {
   getUniqueFolderPath,
   sanitizeFilename,
   sanitizePathPreserveDirs,
+  resolveStoredPath,
+  isHiddenKey,
+  getParentFolder,
   isValidBatchId
 }; 
\ No newline at end of file
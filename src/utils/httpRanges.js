@@ -0,0 +1,149 @@
+/**
+ * HTTP range and conditional request handling for file downloads (RFC 9110).
+ * Lets browsers and download managers resume transfers and seek in media, and
+ * revalidate cached copies with ETag and Last-Modified.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// More ranges than this in one request are served as the whole file
+const MAX_RANGES = 16;
+
+/**
+ * Parse a Range header
+ * @param {string} [header] - Range header, e.g. "bytes=0-99,200-"
+ * @param {number} size - Size of the file
+ * @returns {Array<{start: number, end: number}>|null|undefined} Inclusive ranges in ascending order, overlapping
+ *   or adjacent ones merged; null if none can be satisfied; undefined if there is no header or it is ignored
+ *   (malformed, not in bytes or asking for too many ranges)
+ */
+function parseRanges(header, size) {
+  const match = /^bytes=(.+)$/.exec((header || '').trim());
+  if (!match) return undefined;
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return undefined;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const bounds = /^(\d*)-(\d*)$/.exec(spec);
+    if (!bounds || (bounds[1] === '' && bounds[2] === '')) return undefined;
+    if (bounds[1] === '') {
+      // Suffix range: the last N bytes
+      const length = Number(bounds[2]);
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(size - length, 0), end: size - 1 });
+      continue;
+    }
+    const start = Number(bounds[1]);
+    if (bounds[2] !== '' && Number(bounds[2]) < start) return undefined;
+    if (start < size) {
+      ranges.push({ start, end: bounds[2] === '' ? size - 1 : Math.min(Number(bounds[2]), size - 1) });
+    }
+  }
+  if (ranges.length === 0) return null;
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const range of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Strong ETag of a stored file: its content checksum if known, otherwise its size and modification time
+ * @param {{size: number, mtime: Date|null}} stats - Size and modification time of the file
+ * @param {string|null} [sha256] - Hex SHA-256 of its content
+ * @returns {string} Quoted entity tag
+ */
+function createEtag({ size, mtime }, sha256 = null) {
+  if (sha256) return `"${sha256}"`;
+  return `"${size.toString(16)}-${(mtime ? mtime.getTime() : 0).toString(16)}"`;
+}
+
+// HTTP dates have a resolution of one second
+function toHttpSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function parseEtags(header) {
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+/**
+ * Whether a GET or HEAD request can be answered with 304 Not Modified.
+ * If-None-Match takes precedence over If-Modified-Since, as the RFC requires.
+ * @param {Object} headers - Request headers
+ * @param {{etag: string, lastModified: Date|null}} validators - Current validators of the file
+ * @returns {boolean}
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' || parseEtags(ifNoneMatch).includes(etag);
+  }
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  if (isNaN(ifModifiedSince) || !lastModified) return false;
+  return toHttpSeconds(lastModified) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+ * Whether a Range header may be honoured. With If-Range, only if the client's copy is still current,
+ * otherwise the whole file is sent so the client doesn't combine parts of different versions.
+ * @param {Object} headers - Request headers
+ * @param {{etag: string, lastModified: Date|null}} validators - Current validators of the file
+ * @returns {boolean}
+ */
+function isRangeApplicable(headers, { etag, lastModified }) {
+  const ifRange = (headers['if-range'] || '').trim();
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  if (ifRange.startsWith('W/')) return false; // Weak tags never match for ranges
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Boolean(lastModified) && toHttpSeconds(lastModified) === Math.floor(date / 1000);
+}
+
+/**
+ * Build a multipart/byteranges body for several ranges
+ * @param {Array<{start: number, end: number}>} ranges - From parseRanges
+ * @param {number} size - Size of the file
+ * @param {string} contentType - Type of the file, repeated in every part
+ * @param {(range: {start: number, end: number}) => Promise<import('stream').Readable>} openRange - Reads one range,
+ *   called for each part in turn as the body is consumed
+ * @returns {{stream: import('stream').Readable, contentType: string, length: number}}
+ */
+function createMultipartRanges(ranges, size, contentType, openRange) {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(({ start, end }) =>
+    `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`);
+  const closing = `\r\n--${boundary}--\r\n`;
+  const length = ranges.reduce((sum, { start, end }, i) => sum + Buffer.byteLength(partHeaders[i]) + end - start + 1, 0) +
+    Buffer.byteLength(closing);
+
+  async function* generateParts() {
+    for (let i = 0; i < ranges.length; i++) {
+      yield Buffer.from(partHeaders[i]);
+      yield* await openRange(ranges[i]);
+    }
+    yield Buffer.from(closing);
+  }
+
+  return {
+    stream: Readable.from(generateParts(), { objectMode: false }),
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    length
+  };
+}
+
+module.exports = {
+  parseRanges,
+  createEtag,
+  isNotModified,
+  isRangeApplicable,
+  createMultipartRanges
+};
@@ -0,0 +1,226 @@
+/**
+ * Streaming ZIP and tar archives. They are read back with minimal readers written from the format
+ * specifications, so the tests don't depend on the writer's own view of the layout. The ZIP64 case
+ * streams a 4GB entry through without keeping it: only the start and end of the archive are read.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { crc32 } = require('zlib');
+const { createTempDir, startApp, request } = require('./helpers');
+const { createArchiveStream } = require('../src/utils/archive');
+
+const MB = 1024 * 1024;
+const uploadDir = createTempDir('uploads');
+let app;
+
+/**
+ * Read the entries of a ZIP archive from its central directory
+ * @param {(start: number, end: number) => Buffer} read - Bytes of the archive at absolute offsets
+ * @param {number} length - Size of the archive
+ * @returns {Array<{name: string, crc: number, size: number, dataOffset: number, zip64: boolean}>}
+ */
+function readZipEntries(read, length) {
+  const end = read(length - 22, length);
+  assert.strictEqual(end.readUInt32LE(0), 0x06054b50, 'end of central directory');
+  let count = end.readUInt16LE(10);
+  let centralSize = end.readUInt32LE(12);
+  let centralOffset = end.readUInt32LE(16);
+  if (count === 0xffff || centralSize === 0xffffffff || centralOffset === 0xffffffff) {
+    const locator = read(length - 42, length - 22);
+    assert.strictEqual(locator.readUInt32LE(0), 0x07064b50, 'ZIP64 end of central directory locator');
+    const zip64EndOffset = Number(locator.readBigUInt64LE(8));
+    const zip64End = read(zip64EndOffset, zip64EndOffset + 56);
+    assert.strictEqual(zip64End.readUInt32LE(0), 0x06064b50, 'ZIP64 end of central directory');
+    count = Number(zip64End.readBigUInt64LE(32));
+    centralSize = Number(zip64End.readBigUInt64LE(40));
+    centralOffset = Number(zip64End.readBigUInt64LE(48));
+  }
+
+  const central = read(centralOffset, centralOffset + centralSize);
+  const entries = [];
+  for (let position = 0; entries.length < count; ) {
+    assert.strictEqual(central.readUInt32LE(position), 0x02014b50, 'central directory header');
+    const nameLength = central.readUInt16LE(position + 28);
+    const extraLength = central.readUInt16LE(position + 30);
+    const commentLength = central.readUInt16LE(position + 32);
+    const name = central.subarray(position + 46, position + 46 + nameLength).toString('utf8');
+    const crc = central.readUInt32LE(position + 16);
+    let size = central.readUInt32LE(position + 24);
+    let headerOffset = central.readUInt32LE(position + 42);
+    // ZIP64 extra field: the 64-bit values of the fields set to 0xffffffff, in order
+    const extra = central.subarray(position + 46 + nameLength, position + 46 + nameLength + extraLength);
+    const zip64 = extraLength > 0 && extra.readUInt16LE(0) === 0x0001;
+    if (zip64) {
+      let valueOffset = 4;
+      if (size === 0xffffffff) {
+        size = Number(extra.readBigUInt64LE(valueOffset));
+        valueOffset += 16; // Uncompressed and compressed size
+      }
+      if (headerOffset === 0xffffffff) headerOffset = Number(extra.readBigUInt64LE(valueOffset));
+    }
+    const local = read(headerOffset, headerOffset + 30);
+    assert.strictEqual(local.readUInt32LE(0), 0x04034b50, `local header of ${name}`);
+    const dataOffset = headerOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    entries.push({ name, crc, size, dataOffset, zip64 });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Names and contents of a ZIP archive held in memory, with every CRC checked
+function unzip(archive) {
+  return readZipEntries((start, end) => archive.subarray(start, end), archive.length).map(entry => {
+    const data = archive.subarray(entry.dataOffset, entry.dataOffset + entry.size);
+    assert.strictEqual(crc32(data), entry.crc, `CRC of ${entry.name}`);
+    return { name: entry.name, data };
+  });
+}
+
+// Names and contents of a tar archive, with header checksums checked and PAX names applied
+function untar(archive) {
+  const files = [];
+  let paxPath = null;
+  for (let position = 0; ; ) {
+    const header = archive.subarray(position, position + 512);
+    if (header.every(byte => byte === 0)) break;
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+    assert.strictEqual(checksum, parseInt(field(148, 8), 8), 'tar header checksum');
+    assert.strictEqual(field(257, 6), 'ustar');
+    const size = parseInt(field(124, 12), 8);
+    const data = archive.subarray(position + 512, position + 512 + size);
+    position += 512 + Math.ceil(size / 512) * 512;
+    if (field(156, 1) === 'x') {
+      paxPath = /\d+ path=([^\n]*)\n/.exec(data.toString('utf8'))?.[1] ?? null;
+      continue;
+    }
+    files.push({ name: paxPath ?? field(0, 100), data });
+    paxPath = null;
+  }
+  return files;
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function archiveOf(format, files) {
+  const entries = files.map(({ name, data }) => ({ name, size: data.length, mtime: new Date('2024-05-06T07:08:10Z'), data }));
+  return readAll(createArchiveStream(format, entries, async entry => Readable.from([entry.data])));
+}
+
+function putFile(name, content) {
+  return request(app.port, `/api/upload/raw/${name}`, {
+    method: 'PUT',
+    headers: { 'content-length': Buffer.byteLength(content) },
+    body: content
+  });
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const files = [
+  { name: 'docs/readme.txt', data: Buffer.from('hello archive\n') },
+  { name: 'empty.txt', data: Buffer.alloc(0) },
+  { name: `${'long-folder-name/'.repeat(8)}nested.txt`, data: Buffer.alloc(1500, 'x') },
+  { name: 'grüße/ünïcödé.txt', data: Buffer.from('non-ascii name') }
+];
+
+describe('zip archives', () => {
+  it('holds every file with its name, content and CRC', async () => {
+    assert.deepStrictEqual(unzip(await archiveOf('zip', files)), files.map(({ name, data }) => ({ name, data })));
+  });
+
+  it('switches to ZIP64 records past 65535 entries', async () => {
+    const many = Array.from({ length: 0x10000 }, (_, i) => ({ name: `f${i}`, data: Buffer.alloc(0) }));
+    const archive = await archiveOf('zip', many);
+    assert.strictEqual(archive.readUInt16LE(archive.length - 22 + 10), 0xffff);
+    const entries = unzip(archive);
+    assert.strictEqual(entries.length, 0x10000);
+    assert.strictEqual(entries.at(-1).name, 'f65535');
+  });
+
+  it('streams an entry over 4GB with ZIP64 sizes and offsets', async () => {
+    const bigSize = 4096 * MB + 10;
+    const block = Buffer.alloc(MB);
+    const entries = [
+      { name: 'before.txt', size: 6, data: Buffer.from('before') },
+      { name: 'big.bin', size: bigSize },
+      { name: 'after.txt', size: 5, data: Buffer.from('after') }
+    ];
+    const openEntry = async (entry) => entry.data ? Readable.from([entry.data]) : Readable.from((function* () {
+      for (let sent = 0; sent < entry.size; sent += block.length) yield block.subarray(0, Math.min(block.length, entry.size - sent));
+    })());
+
+    // Keep the first and last megabyte only
+    let length = 0;
+    let head = Buffer.alloc(0);
+    let tail = Buffer.alloc(0);
+    for await (const chunk of createArchiveStream('zip', entries, openEntry)) {
+      if (head.length < MB) head = Buffer.concat([head, chunk.subarray(0, MB - head.length)]);
+      tail = Buffer.concat([tail, chunk]);
+      if (tail.length > 2 * MB) tail = tail.subarray(tail.length - MB);
+      length += chunk.length;
+    }
+    const tailStart = length - tail.length;
+    const read = (start, end) => {
+      if (end <= head.length) return head.subarray(start, end);
+      assert.ok(start >= tailStart, `bytes ${start}-${end} were kept`);
+      return tail.subarray(start - tailStart, end - tailStart);
+    };
+
+    const [before, big, after] = readZipEntries(read, length);
+    assert.deepStrictEqual([before.name, big.name, after.name], ['before.txt', 'big.bin', 'after.txt']);
+    assert.strictEqual(big.size, bigSize);
+    assert.ok(big.zip64 && after.zip64, 'the large size and the offset past 4GB use ZIP64 fields');
+    assert.ok(after.dataOffset > 0xffffffff);
+    assert.strictEqual(read(after.dataOffset, after.dataOffset + 5).toString(), 'after');
+    assert.strictEqual(crc32(read(before.dataOffset, before.dataOffset + 6)), before.crc);
+    let bigCrc = 0;
+    for (let sent = 0; sent < bigSize; sent += block.length) bigCrc = crc32(block.subarray(0, Math.min(block.length, bigSize - sent)), bigCrc);
+    assert.strictEqual(big.crc, bigCrc);
+  });
+});
+
+describe('tar archives', () => {
+  it('holds every file, using PAX headers for long and non-ASCII names', async () => {
+    const archive = await archiveOf('tar', files);
+    assert.strictEqual(archive.length % 512, 0);
+    assert.deepStrictEqual(untar(archive), files.map(({ name, data }) => ({ name, data })));
+  });
+});
+
+describe('archive downloads', () => {
+  it('streams a folder as zip or tar, leaving out download-limited files', async () => {
+    assert.strictEqual((await putFile('album/one.txt', 'first')).status, 201);
+    assert.strictEqual((await putFile('album/sub/two.txt', 'second')).status, 201);
+    assert.strictEqual((await putFile('album/once.txt?maxDownloads=1', 'limited')).status, 201);
+
+    const zip = await request(app.port, '/api/files/archive?path=album');
+    assert.strictEqual(zip.status, 200);
+    assert.strictEqual(zip.headers['content-type'], 'application/zip');
+    const zipped = unzip(zip.body).map(({ name, data }) => [name, data.toString()]).sort();
+    assert.deepStrictEqual(zipped, [['album/one.txt', 'first'], ['album/sub/two.txt', 'second']]);
+
+    const tar = await request(app.port, '/api/files/archive?path=album&format=tar');
+    assert.strictEqual(tar.status, 200);
+    assert.deepStrictEqual(untar(tar.body).map(({ name, data }) => [name, data.toString()]).sort(), zipped);
+  });
+
+  it('rejects unknown formats and ambiguous selections', async () => {
+    assert.strictEqual((await request(app.port, '/api/files/archive?path=album&format=rar')).status, 400);
+    assert.strictEqual((await request(app.port, '/api/files/archive?path=album&paths=album/one.txt')).status, 400);
+  });
+});
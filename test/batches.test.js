@@ -0,0 +1,67 @@
+/**
+ * A declared batch completes once every file it announced has been stored, skipped or has failed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const uploadDir = createTempDir('uploads');
+let app;
+
+function putFile(name, content, batchId) {
+  return request(app.port, `/api/upload/raw/${name}`, {
+    method: 'PUT',
+    headers: { 'content-length': Buffer.byteLength(content), ...(batchId && { 'x-batch-id': batchId }) },
+    body: content
+  });
+}
+
+async function declareBatch(expected) {
+  const response = await request(app.port, '/api/upload/batch', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(expected)
+  });
+  assert.strictEqual(response.status, 201);
+  return JSON.parse(response.body).batchId;
+}
+
+async function getBatchStatus(batchId) {
+  return JSON.parse((await request(app.port, `/api/upload/batch/${batchId}`)).body);
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('declared batches', () => {
+  it('completes a batch declared by bytes when some of its files are skipped or fail', async () => {
+    assert.strictEqual((await putFile('taken.txt', 'already here')).status, 201);
+    const batchId = await declareBatch({ expectedBytes: 30 });
+
+    assert.strictEqual((await putFile('stored.txt', '0123456789', batchId)).status, 201);
+    assert.strictEqual((await putFile('taken.txt?conflict=skip', '0123456789', batchId)).status, 200);
+    assert.strictEqual((await getBatchStatus(batchId)).status, 'active');
+    assert.strictEqual((await putFile('rejected.txt?maxDownloads=never', '0123456789', batchId)).status, 400);
+
+    const status = await getBatchStatus(batchId);
+    assert.strictEqual(status.status, 'completed');
+    assert.strictEqual(status.storedBytes, 10);
+    assert.deepStrictEqual(status.skipped, [{ filename: 'taken.txt', size: 10 }]);
+    assert.strictEqual(status.failed[0].size, 10);
+  });
+
+  it('completes a batch declared by file count', async () => {
+    const batchId = await declareBatch({ expectedFiles: 2 });
+    assert.strictEqual((await putFile('first.txt', 'one', batchId)).status, 201);
+    assert.strictEqual((await putFile('taken.txt?conflict=skip', 'two', batchId)).status, 200);
+    assert.strictEqual((await getBatchStatus(batchId)).status, 'completed');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Chunked uploads through /api/upload/chunk: chunks address their byte offset, so retries and
+ * out-of-order delivery can't corrupt the file.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const uploadDir = createTempDir('uploads');
+const content = crypto.randomBytes(30000);
+// Sent like the browser client does; requests within a batch don't count against the upload job limit
+const BATCH_HEADER = { 'x-batch-id': `${Date.now()}-testbatch` };
+let app;
+
+async function initUpload(fields) {
+  const response = await request(app.port, '/api/upload/init', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...BATCH_HEADER },
+    body: JSON.stringify(fields)
+  });
+  return { status: response.status, json: JSON.parse(response.body) };
+}
+
+async function sendChunk(uploadId, start, end, headers = {}) {
+  const response = await request(app.port, `/api/upload/chunk/${uploadId}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/octet-stream', 'content-range': `bytes ${start}-${end - 1}/${content.length}`, ...BATCH_HEADER, ...headers },
+    body: content.subarray(start, end)
+  });
+  return { status: response.status, json: JSON.parse(response.body) };
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('chunk offsets', () => {
+  it('assembles chunks sent out of order', async () => {
+    const { json: { uploadId } } = await initUpload({ filename: 'shuffled.bin', fileSize: content.length });
+    const middle = await sendChunk(uploadId, 10000, 20000);
+    assert.strictEqual(middle.status, 200);
+    assert.strictEqual(middle.json.bytesReceived, 10000);
+    assert.strictEqual(middle.json.nextOffset, 0, 'the gap at the start is still missing');
+    assert.strictEqual((await sendChunk(uploadId, 20000, 30000)).json.nextOffset, 0);
+    assert.strictEqual((await sendChunk(uploadId, 0, 10000)).json.nextOffset, content.length);
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'shuffled.bin')).equals(content));
+  });
+
+  it('ignores a retried chunk instead of appending it twice', async () => {
+    const { json: { uploadId } } = await initUpload({ filename: 'retried.bin', fileSize: content.length });
+    assert.strictEqual((await sendChunk(uploadId, 0, 12000)).json.bytesReceived, 12000);
+    // The response to the first attempt was lost, so the client sends the same bytes again
+    const retry = await sendChunk(uploadId, 0, 12000);
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.json.bytesReceived, 12000);
+    // Overlapping chunks only add the bytes not received yet
+    const overlapping = await request(app.port, `/api/upload/chunk/${uploadId}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/octet-stream', 'x-chunk-offset': 6000 },
+      body: content.subarray(6000, 18000)
+    });
+    assert.strictEqual(JSON.parse(overlapping.body).bytesReceived, 18000);
+    assert.strictEqual((await sendChunk(uploadId, 18000, 30000)).json.nextOffset, content.length);
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'retried.bin')).equals(content));
+
+    // A late duplicate of a chunk of a finished upload doesn't touch the stored file
+    const late = await sendChunk(uploadId, 0, 12000);
+    assert.strictEqual(late.status, 404);
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'retried.bin')).equals(content));
+  });
+
+  it('rejects chunks that don\'t fit the upload', async () => {
+    const { json: { uploadId } } = await initUpload({ filename: 'bounded.bin', fileSize: 1000 });
+    const beyond = await request(app.port, `/api/upload/chunk/${uploadId}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/octet-stream', 'x-chunk-offset': 1000 },
+      body: Buffer.alloc(10)
+    });
+    assert.strictEqual(beyond.status, 416);
+    assert.strictEqual(JSON.parse(beyond.body).fileSize, 1000);
+    assert.strictEqual((await sendChunk(uploadId, 0, 10)).status, 400, 'total size in Content-Range differs from the upload');
+    const mislabelled = await sendChunk(uploadId, 0, 10, { 'content-range': 'bytes 0-19/1000' });
+    assert.strictEqual(mislabelled.status, 400);
+    await request(app.port, `/api/upload/cancel/${uploadId}`, { method: 'POST' });
+  });
+});
+
+describe('upload status', () => {
+  it('reports the offset to resume from, by upload ID or by batch and fingerprint', async () => {
+    const batch = await request(app.port, '/api/upload/batch', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ expectedFiles: 1 })
+    });
+    const { batchId } = JSON.parse(batch.body);
+    const init = await request(app.port, '/api/upload/init', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-batch-id': batchId },
+      body: JSON.stringify({ filename: 'resumable.bin', fileSize: content.length })
+    });
+    const { uploadId } = JSON.parse(init.body);
+    await sendChunk(uploadId, 0, 10000);
+    await sendChunk(uploadId, 20000, 25000);
+
+    const status = JSON.parse((await request(app.port, `/api/upload/status/${uploadId}`)).body);
+    assert.strictEqual(status.filename, 'resumable.bin');
+    assert.strictEqual(status.fileSize, content.length);
+    assert.strictEqual(status.bytesReceived, 15000);
+    assert.strictEqual(status.nextOffset, 10000);
+    assert.deepStrictEqual(status.receivedRanges, [[0, 10000], [20000, 25000]]);
+
+    const byBatch = await request(app.port, `/api/upload/status?batchId=${batchId}`);
+    assert.deepStrictEqual(JSON.parse(byBatch.body).uploads.map(upload => upload.nextOffset), [10000]);
+    const byFingerprint = await request(app.port, `/api/upload/status?filename=resumable.bin&fileSize=${content.length}`);
+    assert.deepStrictEqual(JSON.parse(byFingerprint.body).uploads.map(upload => upload.uploadId), [uploadId]);
+    const otherSize = await request(app.port, '/api/upload/status?filename=resumable.bin&fileSize=1');
+    assert.deepStrictEqual(JSON.parse(otherSize.body).uploads, []);
+    assert.strictEqual((await request(app.port, '/api/upload/status?filename=resumable.bin')).status, 400);
+
+    // Resuming from the reported offset completes the file, after which the session is gone
+    await sendChunk(uploadId, status.nextOffset, 20000);
+    await sendChunk(uploadId, 25000, content.length);
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'resumable.bin')).equals(content));
+    assert.strictEqual((await request(app.port, `/api/upload/status/${uploadId}`)).status, 404);
+  });
+});
+
+describe('checksums', () => {
+  const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  it('refuses to store a file that doesn\'t match the sha256 sent at init', async () => {
+    const other = Buffer.from(content);
+    other[0] ^= 1;
+    const { json: { uploadId } } = await initUpload({ filename: 'mismatch.bin', fileSize: content.length, sha256: sha256Hex(other) });
+    assert.strictEqual((await sendChunk(uploadId, 0, 20000)).status, 200);
+    const last = await sendChunk(uploadId, 20000, 30000);
+    assert.strictEqual(last.status, 422);
+    assert.deepStrictEqual({ expected: last.json.expected, actual: last.json.actual }, { expected: sha256Hex(other), actual: sha256Hex(content) });
+    assert.ok(!fs.readdirSync(uploadDir).some(name => name.startsWith('mismatch.bin')), 'neither the file nor its partial remain');
+    assert.strictEqual((await request(app.port, `/api/upload/status/${uploadId}`)).status, 404);
+  });
+
+  it('drops a chunk whose X-Chunk-Checksum doesn\'t match and records the file digest', async () => {
+    const { json: { uploadId } } = await initUpload({ filename: 'verified.bin', fileSize: content.length, sha256: sha256Hex(content) });
+    const corrupted = await sendChunk(uploadId, 0, 15000, { 'x-chunk-checksum': sha256Hex(content.subarray(1, 15001)) });
+    assert.strictEqual(corrupted.status, 400);
+    assert.strictEqual(JSON.parse((await request(app.port, `/api/upload/status/${uploadId}`)).body).bytesReceived, 0);
+
+    assert.strictEqual((await sendChunk(uploadId, 0, 15000, { 'x-chunk-checksum': sha256Hex(content.subarray(0, 15000)) })).status, 200);
+    assert.strictEqual((await sendChunk(uploadId, 15000, 30000, { 'x-chunk-checksum': sha256Hex(content.subarray(15000)) })).status, 200);
+    const info = JSON.parse((await request(app.port, '/api/files/verified.bin/info')).body);
+    assert.strictEqual(info.sha256, sha256Hex(content));
+  });
+});
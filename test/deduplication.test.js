@@ -0,0 +1,111 @@
+/**
+ * With DEDUPLICATION=true an upload whose checksum matches stored content completes without a transfer.
+ * Download-limited files must never be such content, or a copy claimed by checksum would outlive the limit.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const uploadDir = createTempDir('uploads');
+let app;
+
+function sha256Hex(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function putFile(name, content) {
+  return request(app.port, `/api/upload/raw/${name}`, {
+    method: 'PUT',
+    headers: { 'content-length': Buffer.byteLength(content) },
+    body: content
+  });
+}
+
+async function initUpload(fields) {
+  const response = await request(app.port, '/api/upload/init', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(fields)
+  });
+  return { status: response.status, json: JSON.parse(response.body) };
+}
+
+function blobExists(content) {
+  const sha256 = sha256Hex(content);
+  return fs.existsSync(path.join(uploadDir, '.metadata', 'blobs', sha256.slice(0, 2), sha256));
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DEDUPLICATION: 'true', DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('deduplication', () => {
+  it('completes an upload of known content without a transfer', async () => {
+    const content = 'shared content '.repeat(100);
+    assert.strictEqual((await putFile('shared.txt', content)).status, 201);
+    assert.ok(blobExists(content));
+
+    const { status, json } = await initUpload({ filename: 'again.txt', fileSize: content.length, sha256: sha256Hex(content) });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual({ complete: json.complete, deduplicated: json.deduplicated }, { complete: true, deduplicated: true });
+    const download = await request(app.port, '/api/files/again.txt/download');
+    assert.strictEqual(download.body.toString(), content);
+    assert.strictEqual(fs.statSync(path.join(uploadDir, 'again.txt')).ino, fs.statSync(path.join(uploadDir, 'shared.txt')).ino);
+  });
+
+  it('stores a second upload of the same bytes as a link and releases the blob with the last one', async () => {
+    const content = 'uploaded twice '.repeat(100);
+    assert.strictEqual((await putFile('first.txt', content)).status, 201);
+    assert.strictEqual((await putFile('second.txt', content)).status, 201);
+    assert.strictEqual(fs.statSync(path.join(uploadDir, 'first.txt')).ino, fs.statSync(path.join(uploadDir, 'second.txt')).ino);
+
+    assert.strictEqual((await request(app.port, '/api/files/first.txt', { method: 'DELETE' })).status, 200);
+    assert.ok(blobExists(content), 'the blob stays while a file links to it');
+    assert.strictEqual((await request(app.port, '/api/files/second.txt/download')).body.toString(), content);
+
+    assert.strictEqual((await request(app.port, '/api/files/second.txt', { method: 'DELETE' })).status, 200);
+    assert.ok(!blobExists(content), 'the blob goes with the last file');
+  });
+
+  it('never lets a download-limited file be claimed by its checksum', async () => {
+    const content = 'read once only '.repeat(100);
+    assert.strictEqual((await putFile('secret.txt?maxDownloads=1', content)).status, 201);
+    assert.ok(!blobExists(content), 'limited content stays out of the blob store');
+
+    const info = JSON.parse((await request(app.port, '/api/files/secret.txt/info')).body);
+    assert.strictEqual(info.sha256, null);
+    assert.strictEqual(info.downloadsRemaining, 1);
+    const head = await request(app.port, '/api/files/secret.txt/download', { method: 'HEAD' });
+    assert.notStrictEqual(head.headers.etag, `"${sha256Hex(content)}"`);
+
+    // Knowing the checksum still means sending the bytes
+    const claim = await initUpload({ filename: 'claimed.txt', fileSize: content.length, sha256: sha256Hex(content) });
+    assert.strictEqual(claim.status, 200);
+    assert.ok(claim.json.uploadId && !claim.json.complete, 'the claim waits for data instead of completing');
+    await request(app.port, `/api/upload/cancel/${claim.json.uploadId}`, { method: 'POST' });
+
+    const first = await request(app.port, '/api/files/secret.txt/download');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.toString(), content);
+    assert.strictEqual((await request(app.port, '/api/files/secret.txt/download')).status, 410);
+
+    assert.strictEqual((await request(app.port, '/api/files/claimed.txt/download')).status, 404);
+    const listing = JSON.parse((await request(app.port, '/api/files')).body);
+    assert.ok(!JSON.stringify(listing).includes('claimed.txt'), 'no copy of the content survives');
+  });
+
+  it('keeps a limited upload of known content apart from the shared copy', async () => {
+    const content = 'shared content '.repeat(100);
+    assert.strictEqual((await putFile('limited.txt?maxDownloads=1', content)).status, 201);
+    assert.notStrictEqual(fs.statSync(path.join(uploadDir, 'limited.txt')).ino, fs.statSync(path.join(uploadDir, 'shared.txt')).ino);
+  });
+});
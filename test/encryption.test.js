@@ -0,0 +1,139 @@
+/**
+ * Encryption at rest: uploads are stored as AES-256-GCM segments and decrypted on download,
+ * including byte ranges that start or end inside a segment.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+const {
+  SEGMENT_SIZE,
+  encryptBuffer,
+  decryptFile,
+  getEncryptedSize,
+  getSegmentPosition
+} = require('../src/utils/encryption');
+
+const ENCRYPTION_KEY = 'test encryption key of at least 32 characters';
+const uploadDir = createTempDir('uploads');
+const content = crypto.randomBytes(3 * SEGMENT_SIZE + 1234); // Four segments, the last one short
+let app;
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function download(name, headers = {}) {
+  return request(app.port, `/api/files/${name}/download`, { headers });
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, ENCRYPTION_KEY, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('encrypted file format', () => {
+  const encryptedPath = path.join(uploadDir, 'format-test.enc');
+
+  it('decrypts any range, reading across segment boundaries', async () => {
+    fs.writeFileSync(encryptedPath, encryptBuffer(ENCRYPTION_KEY, content));
+    assert.strictEqual(fs.statSync(encryptedPath).size, getEncryptedSize(content.length));
+    assert.ok((await readAll(await decryptFile(encryptedPath, ENCRYPTION_KEY))).equals(content));
+
+    const ranges = [
+      [0, 0],
+      [SEGMENT_SIZE - 10, SEGMENT_SIZE + 9],
+      [SEGMENT_SIZE, 2 * SEGMENT_SIZE - 1],
+      [10, 3 * SEGMENT_SIZE + 100],
+      [content.length - 1, content.length - 1]
+    ];
+    for (const [start, end] of ranges) {
+      const plaintext = await readAll(await decryptFile(encryptedPath, ENCRYPTION_KEY, { start, end }));
+      assert.ok(plaintext.equals(content.subarray(start, end + 1)), `bytes ${start}-${end}`);
+    }
+  });
+
+  it('rejects tampered, reordered and truncated files', async () => {
+    const encrypted = encryptBuffer(ENCRYPTION_KEY, content);
+    const tampered = Buffer.from(encrypted);
+    tampered[tampered.length - 100] ^= 1;
+    const segment = index => encrypted.subarray(getSegmentPosition(index), getSegmentPosition(index + 1));
+    const swapped = Buffer.concat([encrypted.subarray(0, getSegmentPosition(0)), segment(1), segment(0), encrypted.subarray(getSegmentPosition(2))]);
+    const truncated = encrypted.subarray(0, getSegmentPosition(3)); // Ends with a segment that wasn't sealed as the last
+
+    for (const [name, bytes] of Object.entries({ tampered, swapped, truncated })) {
+      fs.writeFileSync(encryptedPath, bytes);
+      await assert.rejects(async () => readAll(await decryptFile(encryptedPath, ENCRYPTION_KEY)), name);
+    }
+    fs.writeFileSync(encryptedPath, encrypted);
+    await assert.rejects(async () => readAll(await decryptFile(encryptedPath, 'another key of at least 32 characters!!')));
+    fs.unlinkSync(encryptedPath);
+  });
+});
+
+describe('encrypted uploads', () => {
+  it('stores ciphertext and serves the plaintext', async () => {
+    const response = await request(app.port, '/api/upload/raw/whole.bin', {
+      method: 'PUT',
+      headers: { 'content-length': content.length },
+      body: content
+    });
+    assert.strictEqual(response.status, 201);
+
+    const stored = fs.readFileSync(path.join(uploadDir, 'whole.bin'));
+    assert.strictEqual(stored.length, getEncryptedSize(content.length));
+    assert.strictEqual(stored.indexOf(content.subarray(0, 64)), -1, 'no plaintext on disk');
+
+    const info = JSON.parse((await request(app.port, '/api/files/whole.bin/info')).body);
+    assert.strictEqual(info.size, content.length);
+    const whole = await download('whole.bin');
+    assert.strictEqual(whole.status, 200);
+    assert.strictEqual(Number(whole.headers['content-length']), content.length);
+    assert.ok(whole.body.equals(content));
+  });
+
+  it('serves ranges inside and across segments', async () => {
+    const cases = {
+      [`bytes=${SEGMENT_SIZE - 5}-${SEGMENT_SIZE + 4}`]: [SEGMENT_SIZE - 5, SEGMENT_SIZE + 4],
+      [`bytes=${2 * SEGMENT_SIZE + 7}-`]: [2 * SEGMENT_SIZE + 7, content.length - 1],
+      'bytes=-300': [content.length - 300, content.length - 1],
+      'bytes=100-199': [100, 199]
+    };
+    for (const [range, [start, end]] of Object.entries(cases)) {
+      const response = await download('whole.bin', { range });
+      assert.strictEqual(response.status, 206, range);
+      assert.strictEqual(response.headers['content-range'], `bytes ${start}-${end}/${content.length}`);
+      assert.ok(response.body.equals(content.subarray(start, end + 1)), range);
+    }
+  });
+
+  it('assembles chunks sent out of order at offsets that split segments', async () => {
+    const init = await request(app.port, '/api/upload/init', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ filename: 'chunked.bin', fileSize: content.length })
+    });
+    const { uploadId } = JSON.parse(init.body);
+    const boundaries = [0, 1000, SEGMENT_SIZE + 17, 2 * SEGMENT_SIZE + 3000, content.length];
+    const chunks = boundaries.slice(0, -1).map((start, i) => [start, boundaries[i + 1]]);
+    for (const [start, end] of [chunks[2], chunks[0], chunks[3], chunks[1]]) {
+      const response = await request(app.port, `/api/upload/chunk/${uploadId}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/octet-stream', 'content-range': `bytes ${start}-${end - 1}/${content.length}` },
+        body: content.subarray(start, end)
+      });
+      assert.strictEqual(response.status, 200);
+    }
+    assert.ok((await download('chunked.bin')).body.equals(content));
+    assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'chunked.bin')).indexOf(content.subarray(0, 64)), -1);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * /api/files/path/* and /api/files/:filename must only ever reach files inside the upload directory,
+ * however the path is encoded and wherever symlinks in the upload directory point.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const SECRET = 'outside the upload directory';
+
+const uploadDir = createTempDir('uploads');
+const outsideDir = createTempDir('outside');
+let app;
+
+before(async () => {
+  fs.writeFileSync(path.join(outsideDir, 'secret.txt'), SECRET);
+  fs.writeFileSync(path.join(uploadDir, 'inside.txt'), 'inside');
+  fs.mkdirSync(path.join(uploadDir, 'folder'));
+  fs.writeFileSync(path.join(uploadDir, 'folder', 'inner.txt'), 'inner');
+  fs.symlinkSync(path.join(outsideDir, 'secret.txt'), path.join(uploadDir, 'escape.txt'));
+  fs.symlinkSync(outsideDir, path.join(uploadDir, 'escape-dir'));
+  fs.symlinkSync(path.join(uploadDir, 'inside.txt'), path.join(uploadDir, 'alias.txt'));
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  fs.rmSync(outsideDir, { recursive: true, force: true });
+});
+
+function assertNotLeaked(response) {
+  assert.ok(!response.body.toString('latin1').includes(SECRET), 'response contains the file outside the upload directory');
+}
+
+describe('resolveStoredPath', () => {
+  it('rejects traversal, internal files and backslash variants', () => {
+    const { resolveStoredPath } = require('../src/utils/fileUtils');
+    for (const candidate of [
+      '../secret.txt',
+      '..\\secret.txt',
+      'folder/../../secret.txt',
+      'folder\\..\\..\\secret.txt',
+      './inside.txt',
+      'folder//inner.txt',
+      '.metadata/files.json',
+      'inside.txt.partial',
+      'inside\0.txt',
+      ''
+    ]) {
+      assert.strictEqual(resolveStoredPath(candidate), null, JSON.stringify(candidate));
+    }
+  });
+
+  it('accepts files in folders, with forward slashes', () => {
+    const { resolveStoredPath } = require('../src/utils/fileUtils');
+    assert.strictEqual(resolveStoredPath('folder/inner.txt'), 'folder/inner.txt');
+    assert.strictEqual(resolveStoredPath('folder\\inner.txt'), 'folder/inner.txt');
+  });
+});
+
+describe('encoded traversal', () => {
+  for (const rawPath of [
+    '/api/files/path/%2e%2e%2fsecret.txt/download',
+    '/api/files/path/%2E%2E%2Fsecret.txt/download',
+    '/api/files/%2e%2e%2fsecret.txt/download',
+    '/api/files/path/folder/%2e%2e/%2e%2e/secret.txt/download',
+    '/api/files/path/folder/../../secret.txt/download',
+    '/api/files/path/..%5csecret.txt/download',
+    '/api/files/..%5c..%5csecret.txt/download',
+    '/api/files/path/folder%5c..%5c..%5csecret.txt/info',
+    '/api/files/path/.metadata/files.json/download',
+    '/api/files/path/folder/inner.txt%00/download'
+  ]) {
+    it(`rejects ${rawPath} with 400`, async () => {
+      const response = await request(app.port, rawPath);
+      assert.strictEqual(response.status, 400);
+      assertNotLeaked(response);
+    });
+  }
+
+  it('decodes only once, so double-encoded dots are a literal name', async () => {
+    for (const rawPath of [
+      '/api/files/path/%252e%252e%252fsecret.txt/download',
+      '/api/files/%252e%252e%255csecret.txt/download'
+    ]) {
+      const response = await request(app.port, rawPath);
+      assert.strictEqual(response.status, 404, rawPath);
+      assertNotLeaked(response);
+    }
+  });
+
+  it('rejects malformed encodings without serving anything', async () => {
+    const response = await request(app.port, '/api/files/path/%c0%ae%c0%ae%2fsecret.txt/download');
+    assert.strictEqual(response.status, 400);
+    assertNotLeaked(response);
+  });
+
+  it('still serves files in folders', async () => {
+    const response = await request(app.port, '/api/files/path/folder/inner.txt/download');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'inner');
+  });
+});
+
+describe('symlinks', () => {
+  it('does not serve a file linked from outside the upload directory', async () => {
+    for (const rawPath of ['/api/files/escape.txt/download', '/api/files/escape.txt/view', '/api/files/escape.txt/info']) {
+      const response = await request(app.port, rawPath);
+      assert.strictEqual(response.status, 404, rawPath);
+      assertNotLeaked(response);
+    }
+  });
+
+  it('does not serve files through a folder linked from outside', async () => {
+    const response = await request(app.port, '/api/files/path/escape-dir/secret.txt/download');
+    assert.strictEqual(response.status, 404);
+    assertNotLeaked(response);
+  });
+
+  it('leaves escaping links out of listings and archives', async () => {
+    const listing = JSON.parse((await request(app.port, '/api/files?recursive=true')).body);
+    const names = [...listing.files.map(file => file.filename), ...listing.directories.map(directory => directory.path)];
+    assert.ok(!names.some(name => name.startsWith('escape')), names.join(', '));
+    assert.strictEqual((await request(app.port, '/api/files?path=escape-dir')).status, 404);
+
+    const archive = await request(app.port, '/api/files/archive?format=tar&path=');
+    assert.strictEqual(archive.status, 200);
+    assertNotLeaked(archive);
+  });
+
+  it('serves links that stay inside the upload directory', async () => {
+    const response = await request(app.port, '/api/files/alias.txt/download');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.toString(), 'inside');
+  });
+
+  it('does not copy a file linked from outside', async () => {
+    const response = await request(app.port, '/api/files/escape.txt/copy', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ name: 'copied.txt' })
+    });
+    assert.strictEqual(response.status, 404);
+    assert.ok(!fs.existsSync(path.join(uploadDir, 'copied.txt')));
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Shared setup for the request-level tests: throwaway directories and the app on an ephemeral port.
+ * Configuration is read when src/config is first required, so each test file sets its environment
+ * before calling startApp (node --test runs every file in a process of its own).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+function createTempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `dumbdrop-${name}-`));
+}
+
+/**
+ * Initialize the app and listen on a free local port
+ * @param {Object} env - Environment variables to set first, e.g. UPLOAD_DIR
+ * @returns {Promise<{port: number, close: () => Promise<void>}>}
+ */
+async function startApp(env) {
+  Object.assign(process.env, env);
+  const { app, initialize } = require('../src/app');
+  await initialize();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    port: server.address().port,
+    close: () => new Promise(resolve => {
+      require('../src/utils/security').stopCleanupInterval(); // The only timer that keeps the process alive
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+/**
+ * Send a request with the path exactly as given, so encoded and dot segments reach the server untouched
+ * @param {number} port - Port of the app
+ * @param {string} rawPath - Request path and query
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {Object} [options.headers] - Request headers
+ * @param {string|Buffer} [options.body] - Request body
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
+ */
+function request(port, rawPath, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: rawPath, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  createTempDir,
+  startApp,
+  request
+};
@@ -0,0 +1,122 @@
+/**
+ * Range requests (single and multipart/byteranges), If-Range and conditional GETs on downloads.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createTempDir, startApp, request } = require('./helpers');
+const { parseRanges } = require('../src/utils/httpRanges');
+
+const uploadDir = createTempDir('uploads');
+const content = Buffer.from(Array.from({ length: 1000 }, (_, i) => String.fromCharCode(65 + (i % 26))).join(''));
+let app;
+
+function download(headers = {}, method = 'GET') {
+  return request(app.port, '/api/files/letters.txt/download', { method, headers });
+}
+
+// Split a multipart/byteranges body into its parts, checking the framing on the way
+function parseByteranges(body, contentType) {
+  const boundary = /^multipart\/byteranges; boundary=(.+)$/.exec(contentType)[1];
+  const text = body.toString('latin1');
+  const closing = `\r\n--${boundary}--\r\n`;
+  assert.ok(text.endsWith(closing), 'body ends with the closing boundary');
+  return text.slice(0, -closing.length).split(`\r\n--${boundary}\r\n`).slice(1).map(part => {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = Object.fromEntries(part.slice(0, headerEnd).split('\r\n').map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator).toLowerCase(), line.slice(separator + 2)];
+    }));
+    return { headers, data: Buffer.from(part.slice(headerEnd + 4), 'latin1') };
+  });
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+  const response = await request(app.port, '/api/upload/raw/letters.txt', {
+    method: 'PUT',
+    headers: { 'content-length': content.length },
+    body: content
+  });
+  assert.strictEqual(response.status, 201);
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('parseRanges', () => {
+  it('parses, clamps, merges and sorts byte ranges', () => {
+    assert.deepStrictEqual(parseRanges('bytes=0-99', 1000), [{ start: 0, end: 99 }]);
+    assert.deepStrictEqual(parseRanges('bytes=900-', 1000), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRanges('bytes=-100', 1000), [{ start: 900, end: 999 }]);
+    assert.deepStrictEqual(parseRanges('bytes=950-2000', 1000), [{ start: 950, end: 999 }]);
+    assert.deepStrictEqual(parseRanges('bytes=500-599, 0-9, 10-19, 550-650', 1000), [{ start: 0, end: 19 }, { start: 500, end: 650 }]);
+  });
+
+  it('tells unsatisfiable ranges from ignored headers', () => {
+    assert.strictEqual(parseRanges('bytes=1000-', 1000), null);
+    assert.strictEqual(parseRanges('bytes=-0', 1000), null);
+    assert.strictEqual(parseRanges(undefined, 1000), undefined);
+    assert.strictEqual(parseRanges('items=0-9', 1000), undefined);
+    assert.strictEqual(parseRanges('bytes=9-0', 1000), undefined);
+    assert.strictEqual(parseRanges(`bytes=${Array.from({ length: 17 }, (_, i) => `${i * 10}-${i * 10}`).join(',')}`, 1000), undefined);
+  });
+});
+
+describe('range downloads', () => {
+  it('serves a single range', async () => {
+    const response = await download({ range: 'bytes=10-19' });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers['content-range'], 'bytes 10-19/1000');
+    assert.strictEqual(response.headers['content-length'], '10');
+    assert.ok(response.body.equals(content.subarray(10, 20)));
+  });
+
+  it('frames several ranges as multipart/byteranges', async () => {
+    const response = await download({ range: 'bytes=0-4,100-109,-5' });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(Number(response.headers['content-length']), response.body.length);
+    const parts = parseByteranges(response.body, response.headers['content-type']);
+    assert.deepStrictEqual(parts.map(part => part.headers['content-range']), ['bytes 0-4/1000', 'bytes 100-109/1000', 'bytes 995-999/1000']);
+    assert.ok(parts.every(part => part.headers['content-type'] === 'application/octet-stream'));
+    assert.ok(parts[0].data.equals(content.subarray(0, 5)));
+    assert.ok(parts[1].data.equals(content.subarray(100, 110)));
+    assert.ok(parts[2].data.equals(content.subarray(995)));
+  });
+
+  it('answers 416 for a range beyond the end', async () => {
+    const response = await download({ range: 'bytes=1000-1010' });
+    assert.strictEqual(response.status, 416);
+    assert.strictEqual(response.headers['content-range'], 'bytes */1000');
+  });
+
+  it('honours If-Range only while the validator matches', async () => {
+    const { headers } = await download({}, 'HEAD');
+    assert.strictEqual((await download({ range: 'bytes=0-9', 'if-range': headers.etag })).status, 206);
+    assert.strictEqual((await download({ range: 'bytes=0-9', 'if-range': headers['last-modified'] })).status, 206);
+
+    const stale = await download({ range: 'bytes=0-9', 'if-range': '"outdated"' });
+    assert.strictEqual(stale.status, 200);
+    assert.ok(stale.body.equals(content));
+    assert.strictEqual((await download({ range: 'bytes=0-9', 'if-range': `W/${headers.etag}` })).status, 200);
+  });
+});
+
+describe('conditional downloads', () => {
+  it('answers 304 for a current ETag or modification date', async () => {
+    const { headers } = await download({}, 'HEAD');
+    assert.ok(headers.etag && headers['last-modified']);
+
+    const byEtag = await download({ 'if-none-match': `"other", ${headers.etag}` });
+    assert.strictEqual(byEtag.status, 304);
+    assert.strictEqual(byEtag.body.length, 0);
+    assert.strictEqual((await download({ 'if-modified-since': headers['last-modified'] })).status, 304);
+    assert.strictEqual((await download({ 'if-none-match': '"other"' })).status, 200);
+    // If-None-Match wins over a matching If-Modified-Since
+    assert.strictEqual((await download({ 'if-none-match': '"other"', 'if-modified-since': headers['last-modified'] })).status, 200);
+    assert.strictEqual((await download({ 'if-modified-since': new Date(0).toUTCString() })).status, 200);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Uploads, form uploads and copies are admitted against STORAGE_QUOTA, counting the bytes that
+ * upload sessions still in progress have yet to send.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const uploadDir = createTempDir('uploads');
+let app;
+
+function putFile(name, size) {
+  return request(app.port, `/api/upload/raw/${name}`, {
+    method: 'PUT',
+    headers: { 'content-length': size },
+    body: Buffer.alloc(size, 'a')
+  });
+}
+
+function postForm(name, size) {
+  const boundary = 'dumbdrop-test-boundary';
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\nContent-Type: text/plain\r\n\r\n`),
+    Buffer.alloc(size, 'a'),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  return request(app.port, '/api/upload/form', {
+    method: 'POST',
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'content-length': body.length },
+    body
+  });
+}
+
+function copyFile(name, newName) {
+  return request(app.port, `/api/files/${name}/copy`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name: newName })
+  });
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, STORAGE_QUOTA: '1', DUMBDROP_PIN: '' }); // 1MB
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('storage quota', () => {
+  it('reserves the bytes an open upload session has yet to send', async () => {
+    const init = await request(app.port, '/api/upload/init', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ filename: 'pending.bin', fileSize: 600000 })
+    });
+    const { uploadId } = JSON.parse(init.body);
+    assert.ok(uploadId);
+
+    assert.strictEqual((await putFile('raw.bin', 500000)).status, 507);
+    assert.strictEqual((await postForm('form.bin', 500000)).status, 507);
+    assert.strictEqual((await putFile('small.bin', 100000)).status, 201);
+    assert.strictEqual((await putFile('large.bin', 300000)).status, 201);
+    assert.strictEqual((await copyFile('large.bin', 'large-copy.bin')).status, 507);
+    assert.ok(!fs.readdirSync(uploadDir).some(name => name.startsWith('raw.bin') || name.startsWith('form.bin')));
+
+    // Once the session is gone its bytes are free again
+    await request(app.port, `/api/upload/cancel/${uploadId}`, { method: 'POST' });
+    assert.strictEqual((await copyFile('large.bin', 'large-copy.bin')).status, 200);
+    assert.strictEqual(fs.statSync(path.join(uploadDir, 'large-copy.bin')).size, 300000);
+  });
+});
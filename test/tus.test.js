@@ -0,0 +1,119 @@
+/**
+ * tus 1.0 uploads: creation, offsets reported by HEAD, resuming with PATCH until the file is
+ * stored, checksums and termination.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const TUS = { 'tus-resumable': '1.0.0' };
+const uploadDir = createTempDir('uploads');
+const content = crypto.randomBytes(100000);
+let app;
+
+async function createUpload(filename, length, { headers = {}, body } = {}) {
+  const response = await request(app.port, '/api/upload/tus', {
+    method: 'POST',
+    headers: {
+      ...TUS,
+      'upload-length': length,
+      'upload-metadata': `filename ${Buffer.from(filename).toString('base64')}`,
+      ...(body !== undefined && { 'content-type': 'application/offset+octet-stream', 'content-length': body.length }),
+      ...headers
+    },
+    body
+  });
+  assert.strictEqual(response.status, 201);
+  return { response, uploadPath: `/api/upload/tus/${response.headers.location.split('/').pop()}` };
+}
+
+function patch(uploadPath, offset, body, headers = {}) {
+  return request(app.port, uploadPath, {
+    method: 'PATCH',
+    headers: { ...TUS, 'content-type': 'application/offset+octet-stream', 'upload-offset': offset, 'content-length': body.length, ...headers },
+    body
+  });
+}
+
+function head(uploadPath) {
+  return request(app.port, uploadPath, { method: 'HEAD', headers: TUS });
+}
+
+before(async () => {
+  app = await startApp({ UPLOAD_DIR: uploadDir, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('tus uploads', () => {
+  it('announces its version and extensions', async () => {
+    const response = await request(app.port, '/api/upload/tus', { method: 'OPTIONS' });
+    assert.strictEqual(response.status, 204);
+    assert.strictEqual(response.headers['tus-version'], '1.0.0');
+    assert.deepStrictEqual(response.headers['tus-extension'].split(','), ['creation', 'creation-with-upload', 'termination', 'checksum']);
+    assert.strictEqual((await request(app.port, '/api/upload/tus', { method: 'POST', headers: { 'upload-length': 1 } })).status, 412);
+  });
+
+  it('resumes from the offset HEAD reports and stores the file once complete', async () => {
+    const { uploadPath } = await createUpload('resumed.bin', content.length);
+    const first = await patch(uploadPath, 0, content.subarray(0, 40000));
+    assert.strictEqual(first.status, 204);
+    assert.strictEqual(first.headers['upload-offset'], '40000');
+
+    // A client that lost track of the offset asks for it
+    const offset = await head(uploadPath);
+    assert.strictEqual(offset.status, 200);
+    assert.strictEqual(offset.headers['upload-offset'], '40000');
+    assert.strictEqual(offset.headers['upload-length'], String(content.length));
+    assert.strictEqual(offset.headers['cache-control'], 'no-store');
+
+    const misplaced = await patch(uploadPath, 30000, content.subarray(30000));
+    assert.strictEqual(misplaced.status, 409);
+    assert.strictEqual(JSON.parse(misplaced.body).offset, 40000);
+    assert.ok(!fs.existsSync(path.join(uploadDir, 'resumed.bin')));
+
+    const rest = await patch(uploadPath, 40000, content.subarray(40000));
+    assert.strictEqual(rest.status, 204);
+    assert.strictEqual(rest.headers['upload-offset'], String(content.length));
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'resumed.bin')).equals(content));
+    assert.ok(!fs.readdirSync(uploadDir).some(name => name.endsWith('.partial')));
+    assert.strictEqual((await head(uploadPath)).status, 404);
+  });
+
+  it('accepts the first bytes with the creation request', async () => {
+    const { response, uploadPath } = await createUpload('created.bin', content.length, { body: content.subarray(0, 25000) });
+    assert.strictEqual(response.headers['upload-offset'], '25000');
+    assert.strictEqual((await patch(uploadPath, 25000, content.subarray(25000))).status, 204);
+    assert.ok(fs.readFileSync(path.join(uploadDir, 'created.bin')).equals(content));
+  });
+
+  it('rejects a chunk whose Upload-Checksum does not match and keeps the offset', async () => {
+    const { uploadPath } = await createUpload('checked.bin', content.length);
+    const part = content.subarray(0, 10000);
+    const digest = data => `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+
+    const mismatch = await patch(uploadPath, 0, part, { 'upload-checksum': digest(content.subarray(1, 10001)) });
+    assert.strictEqual(mismatch.status, 460);
+    assert.strictEqual((await head(uploadPath)).headers['upload-offset'], '0');
+    assert.strictEqual((await patch(uploadPath, 0, part, { 'upload-checksum': 'crc32 AAAA' })).status, 400);
+
+    const matching = await patch(uploadPath, 0, part, { 'upload-checksum': digest(part) });
+    assert.strictEqual(matching.status, 204);
+    assert.strictEqual(matching.headers['upload-offset'], '10000');
+  });
+
+  it('terminates an upload on DELETE', async () => {
+    const { uploadPath } = await createUpload('dropped.bin', content.length, { body: content.subarray(0, 5000) });
+    assert.strictEqual((await request(app.port, uploadPath, { method: 'DELETE', headers: TUS })).status, 204);
+    assert.strictEqual((await head(uploadPath)).status, 404);
+    assert.strictEqual((await patch(uploadPath, 5000, content.subarray(5000))).status, 404);
+    assert.ok(!fs.readdirSync(uploadDir).some(name => name.startsWith('dropped.bin')));
+  });
+});
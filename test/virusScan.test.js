@@ -0,0 +1,175 @@
+/**
+ * Finished uploads are scanned by clamd before they are stored. A stand-in daemon on a unix socket
+ * speaks the INSTREAM protocol and reports a file infected if it contains the EICAR test string.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createTempDir, startApp, request } = require('./helpers');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const uploadDir = createTempDir('uploads');
+const socketDir = createTempDir('clamd');
+const socketPath = path.join(socketDir, 'clamd.sock');
+const scanned = []; // Content received by the stand-in, one entry per scan
+let reply = content => (content.includes(EICAR) ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+let clamd = null;
+let app;
+
+// Reads `zINSTREAM\0` followed by length-prefixed chunks up to a zero-length one, then answers
+function handleConnection(socket) {
+  let buffered = Buffer.alloc(0);
+  let started = false;
+  const chunks = [];
+  socket.on('data', data => {
+    buffered = Buffer.concat([buffered, data]);
+    if (!started) {
+      if (buffered.length < 10) return;
+      assert.strictEqual(buffered.subarray(0, 10).toString(), 'zINSTREAM\0');
+      buffered = buffered.subarray(10);
+      started = true;
+    }
+    while (buffered.length >= 4) {
+      const length = buffered.readUInt32BE(0);
+      if (length === 0) {
+        const content = Buffer.concat(chunks).toString('latin1');
+        scanned.push(content);
+        socket.end(reply(content));
+        return;
+      }
+      if (buffered.length < 4 + length) return;
+      chunks.push(buffered.subarray(4, 4 + length));
+      buffered = buffered.subarray(4 + length);
+    }
+  });
+  socket.on('error', () => {});
+}
+
+function startClamd() {
+  return new Promise(resolve => {
+    clamd = net.createServer(handleConnection);
+    clamd.listen(socketPath, resolve);
+  });
+}
+
+function stopClamd() {
+  return new Promise(resolve => clamd.close(() => resolve()));
+}
+
+function putFile(name, content) {
+  return request(app.port, `/api/upload/raw/${name}`, {
+    method: 'PUT',
+    headers: { 'content-length': Buffer.byteLength(content) },
+    body: content
+  });
+}
+
+before(async () => {
+  await startClamd();
+  app = await startApp({ UPLOAD_DIR: uploadDir, CLAMAV_SOCKET: socketPath, DUMBDROP_PIN: '' });
+});
+
+after(async () => {
+  await app.close();
+  if (clamd.listening) await stopClamd();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  fs.rmSync(socketDir, { recursive: true, force: true });
+});
+
+describe('virus scanning', () => {
+  it('stores a clean file after clamd received all of it', async () => {
+    const content = 'clean content\n'.repeat(10000); // Several INSTREAM chunks
+    const response = await putFile('clean.txt', content);
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(scanned.at(-1), content);
+    assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'clean.txt'), 'latin1'), content);
+  });
+
+  it('quarantines an infected file instead of storing it', async () => {
+    const response = await putFile('infected.txt', EICAR);
+    assert.strictEqual(response.status, 422);
+    assert.strictEqual(JSON.parse(response.body).virus, 'Eicar-Test-Signature');
+    assert.ok(!fs.existsSync(path.join(uploadDir, 'infected.txt')));
+
+    const quarantineDir = path.join(uploadDir, '.metadata', 'quarantine');
+    const quarantined = fs.readdirSync(quarantineDir);
+    const note = quarantined.find(name => name.endsWith('-infected.txt.json'));
+    assert.ok(note, quarantined.join(', '));
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(quarantineDir, note))).signature, 'Eicar-Test-Signature');
+    assert.strictEqual(fs.readFileSync(path.join(quarantineDir, note.slice(0, -'.json'.length)), 'latin1'), EICAR);
+    assert.ok(!JSON.parse((await request(app.port, '/api/files')).body).files.some(file => file.filename === 'infected.txt'));
+  });
+
+  it('answers 503 while clamd is unreachable and finalizes the kept upload on retry', async () => {
+    await stopClamd();
+    const content = 'scanned later';
+    const init = await request(app.port, '/api/upload/init', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ filename: 'later.txt', fileSize: content.length })
+    });
+    const { uploadId } = JSON.parse(init.body);
+    const sendChunk = () => request(app.port, `/api/upload/chunk/${uploadId}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/octet-stream', 'content-range': `bytes 0-${content.length - 1}/${content.length}` },
+      body: content
+    });
+
+    const unavailable = await sendChunk();
+    assert.strictEqual(unavailable.status, 503);
+    assert.ok(!fs.existsSync(path.join(uploadDir, 'later.txt')));
+
+    await startClamd();
+    const retried = await sendChunk();
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(scanned.at(-1), content);
+    assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'later.txt'), 'utf8'), content);
+  });
+
+  it('keeps reporting a tus upload as unfinished until it is stored', async () => {
+    await stopClamd();
+    const content = 'scanned once clamd is back';
+    const tus = { 'tus-resumable': '1.0.0' };
+    const created = await request(app.port, '/api/upload/tus', {
+      method: 'POST',
+      headers: { ...tus, 'upload-length': content.length, 'upload-metadata': `filename ${Buffer.from('tus.txt').toString('base64')}` }
+    });
+    assert.strictEqual(created.status, 201);
+    const uploadPath = `/api/upload/tus/${created.headers.location.split('/').pop()}`;
+    const patch = (body) => request(app.port, uploadPath, {
+      method: 'PATCH',
+      headers: { ...tus, 'content-type': 'application/offset+octet-stream', 'upload-offset': body ? 0 : content.length, 'content-length': body.length },
+      body
+    });
+
+    assert.strictEqual((await patch(content)).status, 503);
+    // Every byte arrived, yet neither a HEAD nor an empty PATCH may tell the client it is done
+    assert.strictEqual((await request(app.port, uploadPath, { method: 'HEAD', headers: tus })).status, 503);
+    assert.strictEqual((await patch('')).status, 503);
+    assert.ok(!fs.existsSync(path.join(uploadDir, 'tus.txt')));
+
+    await startClamd();
+    const head = await request(app.port, uploadPath, { method: 'HEAD', headers: tus });
+    assert.strictEqual(head.status, 200);
+    assert.strictEqual(head.headers['upload-offset'], String(content.length));
+    assert.strictEqual(scanned.at(-1), content);
+    assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'tus.txt'), 'utf8'), content);
+    assert.ok(!fs.readdirSync(uploadDir).some(name => name.endsWith('.partial')));
+    assert.strictEqual((await request(app.port, uploadPath, { method: 'HEAD', headers: tus })).status, 404);
+  });
+
+  it('does not store a file clamd fails to scan', async () => {
+    reply = () => 'INSTREAM size limit exceeded. ERROR\0';
+    try {
+      const response = await putFile('too-large.txt', 'content clamd refuses');
+      assert.strictEqual(response.status, 503);
+      assert.ok(!fs.existsSync(path.join(uploadDir, 'too-large.txt')));
+    } finally {
+      reply = () => 'stream: OK\0';
+    }
+  });
+});